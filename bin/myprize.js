@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * MyPrize Streamer Toolkit - Command-line tool
+ * Pulls data from the MyPrize API for scripts and quick checks, without a browser.
+ * Needs Node 18+.
+ *
+ * Usage: node bin/myprize.js <command> [arguments] [options]
+ * Run with --help for the command list.
+ */
+
+'use strict';
+
+const { MyPrizeAPI, MyPrizeModels } = require('../src');
+
+const HELP = `Usage: myprize <command> [arguments] [options]
+
+Commands:
+  rooms list                     List rooms (--all for every page)
+  room <slug|id>                 Show one room
+  bets <big|lucky|recent|wins>   Tracked bets (--room <slug|id>)
+  games                          List games (--provider <name>, --popular)
+  missions                       Missions (--room <slug|id>)
+  leaderboard <mission-id>       Mission standings
+  user <id>                      Public profile
+  jackpots [currency]            Pragmatic jackpots (default SC)
+  health                         Check that the API answers
+
+Options:
+  --format <table|json|csv>      Output format (default table)
+  --fields <a,b,...>             Columns to show, by key (table and csv)
+  --limit <n>                    Items per list (default 20)
+  --watch [seconds]              Run again every n seconds (default 30), printing changes
+  --base-url <url>               API base URL (default MYPRIZE_API_URL or https://myprize.us/api)
+  --mock                         Answer from the offline mock data
+  -h, --help                     Show this help`;
+
+// Columns are { key, header, align }; keys may be dotted paths into the row
+const ROOM_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'slug', header: 'Slug' },
+  { key: 'name', header: 'Name' },
+  { key: 'creatorUsername', header: 'Streamer' },
+  { key: 'isLive', header: 'Live' },
+  { key: 'viewerCount', header: 'Viewers', align: 'right' },
+  { key: 'lastGameName', header: 'Last Game' },
+];
+
+const BET_COLUMNS = [
+  { key: 'username', header: 'Player' },
+  { key: 'game.name', header: 'Game' },
+  { key: 'amount', header: 'Bet', align: 'right' },
+  { key: 'multiplier', header: 'Multi', align: 'right' },
+  { key: 'amountWon', header: 'Won', align: 'right' },
+  { key: 'currency', header: 'Cur' },
+  { key: 'createdAt', header: 'Time' },
+];
+
+const GAME_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'provider', header: 'Provider' },
+  { key: 'category', header: 'Category' },
+  { key: 'multiplierMax', header: 'Max Multi', align: 'right' },
+  { key: 'urlPath', header: 'Slug' },
+];
+
+const MISSION_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'name', header: 'Name' },
+  { key: 'status', header: 'Status' },
+  { key: 'progress', header: 'Progress', align: 'right' },
+  { key: 'total', header: 'Goal', align: 'right' },
+  { key: 'reward', header: 'Reward' },
+  { key: 'endsAt', header: 'Ends' },
+];
+
+const COMMANDS = {
+  rooms: {
+    columns: ROOM_COLUMNS,
+    async run(api, [action = 'list'], flags) {
+      if (action !== 'list') throw usageError(`Unknown rooms action: ${action}`);
+      if (flags.all) return api.collectAll(api.rooms.list);
+      return MyPrizeModels.items(await api.rooms.list({ page_size: flags.limit }));
+    },
+  },
+
+  room: {
+    columns: ROOM_COLUMNS,
+    async run(api, [slugOrId]) {
+      if (!slugOrId) throw usageError('Usage: myprize room <slug|id>');
+      return [await findRoom(api, slugOrId)];
+    },
+  },
+
+  bets: {
+    columns: BET_COLUMNS,
+    async run(api, [type = 'big'], flags) {
+      const method = { big: 'getBig', lucky: 'getLucky', recent: 'getRecent', wins: 'getWins' }[type];
+      if (!method) throw usageError(`Unknown bet type: ${type} (big, lucky, recent or wins)`);
+
+      const params = { page_size: flags.limit };
+      if (flags.room) params.room_id = (await findRoom(api, flags.room)).id;
+      return MyPrizeModels.items(await api.bets[method](params));
+    },
+  },
+
+  games: {
+    columns: GAME_COLUMNS,
+    async run(api, args, flags) {
+      const params = { page_size: flags.limit };
+      let response;
+      if (flags.provider) response = await api.igames.getByProvider(flags.provider, params);
+      else if (flags.popular) response = await api.igames.getPopular(params);
+      else response = await api.igames.list(params);
+      return MyPrizeModels.items(response);
+    },
+  },
+
+  missions: {
+    columns: MISSION_COLUMNS,
+    async run(api, args, flags) {
+      const params = { page_size: flags.limit };
+      const response = flags.room
+        ? await api.missions.getByRoom((await findRoom(api, flags.room)).id, params)
+        : await api.missions.list(params);
+      return MyPrizeModels.items(response);
+    },
+  },
+
+  leaderboard: {
+    columns: [
+      { key: 'rank', header: 'Rank', align: 'right' },
+      { key: 'user.username', header: 'Player' },
+      { key: 'score', header: 'Score', align: 'right' },
+      { key: 'prize', header: 'Prize' },
+    ],
+    async run(api, [missionId], flags) {
+      if (!missionId) throw usageError('Usage: myprize leaderboard <mission-id>');
+      const { entries } = await api.missions.getLeaderboard(missionId, { page_size: flags.limit });
+      return entries;
+    },
+  },
+
+  user: {
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'username', header: 'Username' },
+      { key: 'level', header: 'Level' },
+      { key: 'joinedAt', header: 'Joined' },
+      { key: 'stats.totalBets', header: 'Bets', align: 'right' },
+      { key: 'stats.totalWins', header: 'Wins', align: 'right' },
+      { key: 'stats.biggestWin', header: 'Biggest Win', align: 'right' },
+    ],
+    async run(api, [id]) {
+      if (!id) throw usageError('Usage: myprize user <id>');
+      return [await api.users.get(id)];
+    },
+  },
+
+  jackpots: {
+    columns: [
+      { key: 'name', header: 'Jackpot' },
+      { key: 'amount', header: 'Amount', align: 'right' },
+      { key: 'currency', header: 'Cur' },
+    ],
+    async run(api, [currency = 'SC']) {
+      const response = await api.pragmatic.getJackpots(currency);
+      return response?.jackpots || MyPrizeModels.items(response);
+    },
+  },
+
+  health: {
+    columns: [
+      { key: 'state', header: 'State' },
+      { key: 'latency', header: 'Latency (ms)', align: 'right' },
+      { key: 'baseUrl', header: 'API' },
+    ],
+    async run(api, args, flags) {
+      const startedAt = Date.now();
+      await api.system.health();
+      return [{
+        state: api.getConnectionState(),
+        latency: Date.now() - startedAt,
+        baseUrl: flags.mock ? 'mock' : flags.baseUrl,
+      }];
+    },
+  },
+};
+
+// =====================
+// Helpers
+// =====================
+
+/**
+ * Look a room up by slug, falling back to its ID
+ * @param {Object} api - Client
+ * @param {string} slugOrId - Room slug or ID
+ * @returns {Promise<Object>} Room model
+ */
+async function findRoom(api, slugOrId) {
+  try {
+    return await api.rooms.getBySlug(slugOrId.toLowerCase());
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    return api.rooms.get(slugOrId);
+  }
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+/**
+ * Parse arguments into positionals and --flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ positionals: string[], flags: Object }}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const key = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    let value = match[2];
+    if (value === undefined) {
+      // --watch takes an optional value; the rest of the switches take none
+      const takesValue = !['all', 'popular', 'mock', 'help'].includes(key);
+      const next = argv[i + 1];
+      value = takesValue && next !== undefined && !next.startsWith('--')
+        && (key !== 'watch' || /^\d+$/.test(next))
+        ? argv[++i]
+        : true;
+    }
+    flags[key] = value;
+  }
+
+  return { positionals, flags };
+}
+
+function getPath(row, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), row);
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function selectColumns(columns, fields) {
+  if (!fields || fields === true) return columns;
+  return String(fields).split(',').map(key => key.trim()).filter(Boolean)
+    .map(key => columns.find(column => column.key === key) || { key, header: key });
+}
+
+// =====================
+// Output
+// =====================
+
+function formatTable(rows, columns) {
+  if (rows.length === 0) return '(no results)';
+
+  const cells = rows.map(row => columns.map(column => {
+    const text = formatCell(getPath(row, column.key));
+    return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+  }));
+  const widths = columns.map((column, i) =>
+    Math.max(column.header.length, ...cells.map(line => line[i].length)));
+
+  const formatLine = values => values
+    .map((value, i) => (columns[i].align === 'right' ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    formatLine(columns.map(column => column.header)),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(formatLine),
+  ].join('\n');
+}
+
+function formatCsv(rows, columns) {
+  const escape = value => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return [
+    columns.map(column => escape(column.key)).join(','),
+    ...rows.map(row => columns.map(column => escape(formatCell(getPath(row, column.key)))).join(',')),
+  ].join('\n');
+}
+
+function format(rows, command, flags) {
+  switch (flags.format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'csv':
+      return formatCsv(rows, selectColumns(command.columns, flags.fields));
+    case 'table':
+    case undefined:
+      return formatTable(rows, selectColumns(command.columns, flags.fields));
+    default:
+      throw usageError(`Unknown format: ${flags.format} (table, json or csv)`);
+  }
+}
+
+// =====================
+// Main
+// =====================
+
+async function watch(run, seconds, flags) {
+  let previous = null;
+
+  // Runs until interrupted
+  for (;;) {
+    try {
+      const output = await run();
+      if (output !== previous) {
+        previous = output;
+        const clear = process.stdout.isTTY && flags.format !== 'json' && flags.format !== 'csv';
+        if (clear) process.stdout.write('\x1b[2J\x1b[H');
+        console.log(clear ? `${output}\n\nUpdated ${new Date().toLocaleTimeString()}, every ${seconds}s (Ctrl+C to stop)` : output);
+      }
+    } catch (error) {
+      if (error.code === 'USAGE') throw error;
+      console.error(`Error: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  }
+}
+
+async function main(argv) {
+  const { positionals: [name, ...args], flags } = parseArgs(argv);
+
+  if (flags.help || !name) {
+    console.log(HELP);
+    return name || flags.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) throw usageError(`Unknown command: ${name}\n\n${HELP}`);
+
+  flags.limit = Number(flags.limit) || 20;
+  flags.baseUrl = flags.baseUrl || process.env.MYPRIZE_API_URL || 'https://myprize.us/api';
+
+  const api = MyPrizeAPI.createClient({
+    baseUrl: flags.baseUrl,
+    transport: flags.mock ? 'mock' : 'fetch',
+    normalize: true,
+    // Every run asks the API again; unchanged data comes back as a cheap 304
+    cacheDuration: 0,
+    retries: 2,
+  });
+
+  const run = async () => format(await command.run(api, args, flags), command, flags);
+
+  if (flags.watch) {
+    await watch(run, flags.watch === true ? 30 : Number(flags.watch) || 30, flags);
+    return 0;
+  }
+
+  console.log(await run());
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error(error.code === 'USAGE'
+        ? error.message
+        : `Error: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+      process.exitCode = error.code === 'USAGE' ? 2 : 1;
+    });
+}
+
+module.exports = { main, parseArgs, COMMANDS };
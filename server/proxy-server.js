@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * MyPrize Streamer Toolkit - Local Proxy Server
+ * Serves the toolkit pages (index.html, demos/, src/) and proxies /api/* to the
+ * MyPrize API with CORS headers and one response cache shared by every browser source.
+ * Zero dependencies; needs Node 18+.
+ *
+ * Usage:
+ *   node server/proxy-server.js [--port=8787] [--host=127.0.0.1]
+ *     [--target=https://myprize.us/api] [--ttl=10000] [--max-entries=1000] [--quiet]
+ *
+ * Then open http://localhost:8787/demos/overlay-big-wins.html?api=/api, or point
+ * a local-file OBS source at the proxy with ?api=http://localhost:8787/api
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  port: 8787,
+  host: '127.0.0.1',
+  target: 'https://myprize.us/api',
+  root: path.resolve(__dirname, '..'),
+  ttl: 10000, // How long a proxied GET response is shared, in ms
+  maxEntries: 1000, // Least recently used responses are dropped beyond this
+  timeout: 15000, // Upstream request timeout in ms
+  quiet: false,
+};
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.har': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.md': 'text/markdown; charset=utf-8',
+};
+
+// What the static server exposes: the dashboard page and these folders
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRS = ['demos', 'src'];
+
+// Upstream response headers passed on to the browser
+const FORWARDED_HEADERS = ['content-type', 'etag', 'last-modified', 'x-ratelimit-remaining', 'retry-after'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match, If-Modified-Since',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified, X-RateLimit-Remaining, Retry-After, X-Cache',
+  'Access-Control-Max-Age': '86400',
+};
+
+/**
+ * Create the proxy server
+ * @param {Object} [overrides] - Options on top of DEFAULTS
+ * @returns {http.Server} Server with a `cache` property for inspection
+ */
+function createServer(overrides = {}) {
+  const options = { ...DEFAULTS, ...overrides };
+  const target = options.target.replace(/\/+$/, '');
+
+  // Proxied GET responses, least recently used first, and requests on the wire
+  const cache = new Map();
+  const inFlight = new Map();
+
+  function log(req, status, note, startedAt) {
+    if (options.quiet) return;
+    const time = new Date().toISOString().slice(11, 19);
+    console.log(`[proxy] ${time} ${req.method} ${req.url} ${status} ${note} ${Date.now() - startedAt}ms`);
+  }
+
+  // =====================
+  // API Proxy
+  // =====================
+
+  async function handleApi(req, res, startedAt) {
+    // fetch() would resolve dot segments and climb out of the API path
+    if (hasDotSegment(req.url.split('?')[0])) {
+      sendError(req, res, 400, 'Bad request', startedAt);
+      return;
+    }
+
+    const upstreamUrl = target + req.url.slice('/api'.length);
+    const cacheable = req.method === 'GET' && !req.headers.authorization && !req.headers.cookie;
+
+    if (!cacheable) {
+      const entry = await fetchUpstream(upstreamUrl, req);
+      send(req, res, entry, 'BYPASS', startedAt);
+      return;
+    }
+
+    let entry = cache.get(upstreamUrl);
+    let note = 'HIT';
+
+    if (entry && Date.now() < entry.expires) {
+      // Most recently used goes to the end
+      cache.delete(upstreamUrl);
+      cache.set(upstreamUrl, entry);
+    } else {
+      // Browser sources asking for the same URL at once share one upstream request
+      let pending = inFlight.get(upstreamUrl);
+      note = pending ? 'SHARED' : 'MISS';
+
+      if (!pending) {
+        pending = fetchUpstream(upstreamUrl, req)
+          .then(result => {
+            if (result.status === 200 && !/no-store/i.test(result.headers['cache-control'] || '')) {
+              store(upstreamUrl, result);
+            }
+            return result;
+          })
+          .finally(() => inFlight.delete(upstreamUrl));
+        inFlight.set(upstreamUrl, pending);
+      }
+      entry = await pending;
+    }
+
+    send(req, res, entry, note, startedAt);
+  }
+
+  /**
+   * Fetch from the API
+   * @returns {Promise<Object>} { status, headers, body, etag }
+   */
+  async function fetchUpstream(url, req) {
+    const headers = { Accept: 'application/json' };
+    ['authorization', 'cookie', 'content-type', 'user-agent'].forEach(name => {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    const response = await fetch(url, {
+      method: req.method,
+      headers,
+      body: hasBody ? await readBody(req) : undefined,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(options.timeout),
+    });
+
+    const body = Buffer.from(await response.arrayBuffer());
+    const forwarded = {};
+    FORWARDED_HEADERS.forEach(name => {
+      const value = response.headers.get(name);
+      if (value !== null) forwarded[name] = value;
+    });
+    if (response.headers.get('cache-control')) forwarded['cache-control'] = response.headers.get('cache-control');
+
+    return {
+      status: response.status,
+      headers: forwarded,
+      body,
+      // Weak ETag when the API sends none, so browsers can revalidate against the proxy
+      etag: forwarded.etag || `W/"${crypto.createHash('sha1').update(body).digest('base64').slice(0, 16)}"`,
+    };
+  }
+
+  function store(url, entry) {
+    cache.delete(url);
+    cache.set(url, { ...entry, expires: Date.now() + options.ttl });
+
+    while (cache.size > options.maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  function send(req, res, entry, note, startedAt) {
+    // entry.etag replaces the forwarded one, so it isn't sent twice
+    const { 'cache-control': cacheControl, etag, ...headers } = entry.headers;
+    const responseHeaders = { ...CORS_HEADERS, ...headers, ETag: entry.etag, 'X-Cache': note };
+
+    // The browser already has this version; If-None-Match may list several
+    const knownTags = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim());
+    if (entry.status === 200 && knownTags.includes(entry.etag)) {
+      res.writeHead(304, responseHeaders);
+      res.end();
+      log(req, 304, note, startedAt);
+      return;
+    }
+
+    res.writeHead(entry.status, { ...responseHeaders, 'Content-Length': entry.body.length });
+    res.end(req.method === 'HEAD' ? undefined : entry.body);
+    log(req, entry.status, note, startedAt);
+  }
+
+  function hasDotSegment(pathname) {
+    return pathname.split('/').some(segment => {
+      try {
+        segment = decodeURIComponent(segment);
+      } catch (e) {
+        return true;
+      }
+      return segment === '.' || segment === '..';
+    });
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  // =====================
+  // Static Files
+  // =====================
+
+  function handleStatic(req, res, startedAt) {
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      sendError(req, res, 405, 'Method not allowed', startedAt);
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+      sendError(req, res, 400, 'Bad request', startedAt);
+      return;
+    }
+
+    // Only the pages and their sources; never dotfiles such as .git or .ssh
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments.length === 0) segments.push('index.html');
+    const allowed = segments.length === 1
+      ? STATIC_FILES.includes(segments[0])
+      : STATIC_DIRS.includes(segments[0]);
+    if (!allowed || segments.some(segment => segment.startsWith('.'))) {
+      sendError(req, res, 404, 'Not found', startedAt);
+      return;
+    }
+
+    // Stay inside the toolkit folder
+    let filePath = path.join(options.root, path.normalize(segments.join('/')));
+    if (filePath !== options.root && !filePath.startsWith(options.root + path.sep)) {
+      sendError(req, res, 403, 'Forbidden', startedAt);
+      return;
+    }
+
+    fs.stat(filePath, (statError, stats) => {
+      if (!statError && stats.isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+      }
+
+      fs.readFile(filePath, (readError, data) => {
+        if (readError) {
+          sendError(req, res, 404, 'Not found', startedAt);
+          return;
+        }
+
+        res.writeHead(200, {
+          'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+          'Content-Length': data.length,
+          'Cache-Control': 'no-cache',
+        });
+        res.end(req.method === 'HEAD' ? undefined : data);
+        log(req, 200, 'FILE', startedAt);
+      });
+    });
+  }
+
+  function sendError(req, res, status, message, startedAt, code = null) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(code ? { error: message, code } : { error: message }));
+    log(req, status, 'ERROR', startedAt);
+  }
+
+  const server = http.createServer((req, res) => {
+    const startedAt = Date.now();
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    if (req.url === '/api' || req.url.startsWith('/api/') || req.url.startsWith('/api?')) {
+      handleApi(req, res, startedAt).catch(error => {
+        const timedOut = error.name === 'TimeoutError';
+        sendError(req, res, timedOut ? 504 : 502, `Upstream request failed: ${error.message}`, startedAt,
+          timedOut ? 'PROXY_TIMEOUT' : 'PROXY_ERROR');
+      });
+      return;
+    }
+
+    handleStatic(req, res, startedAt);
+  });
+
+  server.cache = cache;
+  server.options = options;
+  return server;
+}
+
+/**
+ * Parse --name=value / --name value / --flag arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) continue;
+
+    const key = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    let value = match[2];
+    if (value === undefined) {
+      value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+    }
+    options[key] = value === 'true' ? true : value === 'false' ? false : value;
+  }
+
+  ['port', 'ttl', 'maxEntries', 'timeout'].forEach(key => {
+    if (key in options) options[key] = Number(options[key]);
+  });
+  return options;
+}
+
+if (require.main === module) {
+  const options = {
+    ...(process.env.PORT && { port: Number(process.env.PORT) }),
+    ...(process.env.MYPRIZE_API_URL && { target: process.env.MYPRIZE_API_URL }),
+    ...parseArgs(process.argv.slice(2)),
+  };
+  const server = createServer(options);
+  const { host, port, target, ttl } = server.options;
+
+  server.listen(port, host, () => {
+    console.log(`[proxy] Serving the toolkit at http://${host}:${port}/`);
+    console.log(`[proxy] /api/* -> ${target} (shared cache ${ttl}ms)`);
+  });
+}
+
+module.exports = { createServer, parseArgs, DEFAULTS };
@@ -1,6 +1,7 @@
 /**
  * MyPrize Streamer Toolkit - Game Carousel Widget
  * Horizontal scrolling game showcase with smooth animations
+ * Load after widgets.js, which provides the shared component lifecycle
  * @module GameCarousel
  */
 console.log('[GameCarousel] Module loading...');
@@ -28,6 +29,10 @@ const GameCarousel = (() => {
     showMultiplier: true,
     animate: true,
     refreshInterval: 120000,
+    api: null, // API client from MyPrizeAPI.createClient(); defaults to MyPrizeAPI
+    consumer: null, // Rate limit consumer; defaults to 'GameCarousel'
+    priority: 'low', // Rate limit priority: 'high', 'normal' or 'low'
+    requires: [], // Extra features the carousel needs, e.g. ['currency:SC']
   };
 
   /**
@@ -52,6 +57,8 @@ const GameCarousel = (() => {
      * @param {number} [options.gap=16] - Gap between cards in px
      * @param {boolean} [options.showProvider=true] - Show game provider
      * @param {boolean} [options.showMultiplier=true] - Show multiplier range
+     * @param {Object} [options.api] - API client from MyPrizeAPI.createClient()
+     * @param {string[]} [options.requires] - Extra features needed to show it (see MyPrizeAPI.checkRequirements)
      */
     constructor(container, options = {}) {
       this.container = typeof container === 'string'
@@ -64,7 +71,9 @@ const GameCarousel = (() => {
 
       this.options = { ...defaultOptions, ...options };
       this.id = 'carousel-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-      this.refreshTimer = null;
+      this.pollSubscriptions = [];
+      this.roomData = null;
+      this.gamesResponse = null;
       this.autoScrollTimer = null;
       this.isLoading = false;
       this.hasError = false;
@@ -73,6 +82,7 @@ const GameCarousel = (() => {
       this.isDragging = false;
       this.startX = 0;
       this.scrollLeft = 0;
+      this.abortController = new AbortController();
 
       this.init();
     }
@@ -87,11 +97,27 @@ const GameCarousel = (() => {
       this.container.setAttribute('role', 'region');
       this.container.setAttribute('aria-label', this.options.title);
 
+      this.mount();
+    }
+
+    /**
+     * Render, bind the controls and start refreshing
+     * @private
+     */
+    showContent() {
       this.render();
       this.bindEvents();
       this.startRefresh();
     }
 
+    /**
+     * Features this carousel needs: games, plus options.requires
+     * @returns {string[]} Requirements
+     */
+    getRequirements() {
+      return ['igames', ...this.options.requires];
+    }
+
     /**
      * Render the widget structure
      * @private
@@ -362,111 +388,119 @@ const GameCarousel = (() => {
       this.setLoading(true);
 
       try {
-        let games = [];
-        const params = { page_size: this.options.limit };
+        const responses = await this.api.withRequestContext(this.getRequestContext(), () =>
+          Promise.all(this.getPollSources().map(([endpointFn, args]) => endpointFn(...args)))
+        );
+        responses.forEach((response, index) => this.storePollData(response, index));
 
-        if (this.options.provider) {
-          params.equals_field = 'provider';
-          params.equals_value = this.options.provider;
-        }
+        await this.applyGames();
+        this.setError(null);
 
-        if (this.options.roomId) {
-          // Get room data to find current game
-          console.log('[GameCarousel] Fetching room data for:', this.options.roomId);
-          const roomData = await MyPrizeAPI.rooms.get(this.options.roomId);
-          console.log('[GameCarousel] Room data:', roomData);
-
-          // Get the currently playing game from room data
-          if (roomData.last_igame_played_id) {
-            console.log('[GameCarousel] Fetching current game:', roomData.last_igame_played_id);
-            try {
-              const currentGame = await MyPrizeAPI.igames.get(roomData.last_igame_played_id);
-              console.log('[GameCarousel] Current game:', currentGame);
-              games.push({
-                id: currentGame.id,
-                name: currentGame.name || 'Unknown Game',
-                provider: currentGame.provider || currentGame.studio || 'Unknown',
-                image: currentGame.image || currentGame.thumbnail || null,
-                urlPath: currentGame.url_path,
-                multiplierMin: 1,
-                multiplierMax: 100,
-                popularity: 999, // High priority for current game
-                category: 'Slots',
-                isCurrentlyPlaying: true,
-              });
-            } catch (e) {
-              console.warn('[GameCarousel] Could not fetch current game:', e);
-            }
-          }
+      } catch (error) {
+        this.handleRefreshError(error);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    /**
+     * Resources the carousel is built from, as [endpointFn, args] pairs
+     * @returns {Array<Array>} Endpoint methods and their arguments
+     * @private
+     */
+    getPollSources() {
+      if (this.options.roomId) {
+        // Room data to find the current game, plus popular games to fill the rest
+        return [
+          [this.api.rooms.get, [this.options.roomId]],
+          [this.api.igames.list, [{ page_size: this.options.limit }]],
+        ];
+      }
+
+      const params = { page_size: this.options.limit };
+
+      if (this.options.provider) {
+        params.equals_field = 'provider';
+        params.equals_value = this.options.provider;
+      }
+
+      return [[this.api.igames.list, [params]]];
+    }
 
-          // Fill rest with popular games
-          const popularResponse = await MyPrizeAPI.igames.list({ page_size: this.options.limit });
-          const popularGames = this.normalizeGameData(popularResponse);
+    /**
+     * Remember a response for one of the poll sources
+     * @param {Object|Array} response - API response
+     * @param {number} index - Index into getPollSources()
+     * @private
+     */
+    storePollData(response, index) {
+      if (this.options.roomId && index === 0) {
+        this.roomData = response;
+      } else {
+        this.gamesResponse = response;
+      }
+    }
 
-          // Add popular games that aren't already in the list
-          const existingIds = new Set(games.map(g => g.id));
-          for (const game of popularGames) {
-            if (!existingIds.has(game.id) && games.length < this.options.limit) {
-              games.push(game);
-            }
+    /**
+     * Build and render the game list from the latest responses
+     * @returns {Promise<void>}
+     * @private
+     */
+    async applyGames() {
+      let games = [];
+
+      if (this.options.roomId) {
+        const room = MyPrizeModels.room(this.roomData);
+        console.log('[GameCarousel] Room data:', room);
+
+        // Get the currently playing game from room data
+        if (room.lastGameId) {
+          console.log('[GameCarousel] Fetching current game:', room.lastGameId);
+          try {
+            const currentGame = await this.api.igames.get(room.lastGameId, this.getRequestContext());
+            console.log('[GameCarousel] Current game:', currentGame);
+            games.push({
+              ...MyPrizeModels.game(currentGame),
+              popularity: 999, // High priority for current game
+              isCurrentlyPlaying: true,
+            });
+          } catch (e) {
+            if (e.code === 'ABORTED') throw e;
+            console.warn('[GameCarousel] Could not fetch current game:', e);
           }
+        }
 
-          this.updateTitle(games[0]?.isCurrentlyPlaying ? 'Now Playing & Popular' : 'Popular Games');
-        } else {
-          // Get general games list
-          const response = await MyPrizeAPI.igames.list(params);
-          games = this.normalizeGameData(response);
+        // Fill rest with popular games that aren't already in the list
+        const popularGames = this.normalizeGameData(this.gamesResponse);
+        const existingIds = new Set(games.map(g => g.id));
+        for (const game of popularGames) {
+          if (!existingIds.has(game.id) && games.length < this.options.limit) {
+            games.push(game);
+          }
         }
 
-        this.data = games;
-        this.renderGames();
-        console.log('[GameCarousel] Rendered', games.length, 'games');
-        this.setError(null);
+        this.updateTitle(games[0]?.isCurrentlyPlaying ? 'Now Playing & Popular' : 'Popular Games');
+      } else {
+        games = this.normalizeGameData(this.gamesResponse);
+      }
 
-        if (this.options.autoScroll) {
-          this.startAutoScroll();
-        }
+      this.data = games;
+      this.renderGames();
+      console.log('[GameCarousel] Rendered', games.length, 'games');
 
-      } catch (error) {
-        console.error('[GameCarousel] Refresh error:', error);
-        this.setError(error);
-        this.renderError();
-      } finally {
-        this.setLoading(false);
+      if (this.options.autoScroll) {
+        this.startAutoScroll();
       }
     }
 
     /**
      * Normalize game data from different API response formats
      * @param {Object|Array} response - API response
-     * @returns {Array} Normalized games
+     * @returns {Array} Game models
      * @private
      */
     normalizeGameData(response) {
-      const data = response.igames || response.results || response.data || response.games || response;
-      console.log('[GameCarousel] Raw data:', data);
-      if (!Array.isArray(data)) {
-        console.warn('[GameCarousel] Data is not an array:', typeof data, data);
-        return [];
-      }
-
-      return data.map(game => {
-        // Log first game to see available fields
-        if (data.indexOf(game) === 0) {
-          console.log('[GameCarousel] Sample game fields:', Object.keys(game), game);
-        }
-        return {
-          id: game.id || game.game_id || game.reference_id,
-          name: game.name || game.title || 'Unknown Game',
-          provider: game.provider || game.studio || 'Unknown',
-          image: game.image || game.thumbnail || game.icon || game.image_url || game.logo || null,
-          urlPath: game.url_path || null,
-          multiplierMin: game.multiplier_min || game.min_multiplier || 1,
-          multiplierMax: game.multiplier_max || game.max_multiplier || 100,
-          popularity: game.popularity || game.play_count || 0,
-          category: game.category || game.type || 'Slots',
-        };
-      });
+      return MyPrizeModels.list(response, 'game');
     }
 
     /**
@@ -478,20 +512,9 @@ const GameCarousel = (() => {
     extractGamesFromBets(bets) {
       const gameMap = new Map();
 
-      bets.forEach(bet => {
-        const igame = bet.igame;
-        if (igame && igame.url_path && !gameMap.has(igame.url_path)) {
-          gameMap.set(igame.url_path, {
-            id: igame.reference_id || igame.url_path,
-            name: igame.name || 'Unknown Game',
-            provider: igame.provider || igame.studio || 'Unknown',
-            image: igame.image || igame.thumbnail || null,
-            urlPath: igame.url_path,
-            multiplierMin: 1,
-            multiplierMax: 100,
-            popularity: 0,
-            category: 'Slots',
-          });
+      MyPrizeModels.list(bets, 'bet').forEach(({ game }) => {
+        if (game.urlPath && !gameMap.has(game.urlPath)) {
+          gameMap.set(game.urlPath, game);
         }
       });
 
@@ -792,32 +815,48 @@ const GameCarousel = (() => {
     }
 
     /**
-     * Start auto-refresh timer
+     * Start auto-refresh on the shared polling scheduler
      */
     startRefresh() {
-      if (this.options.refreshInterval > 0) {
-        this.refreshTimer = setInterval(() => this.refresh(), this.options.refreshInterval);
-      }
+      if (!(this.options.refreshInterval > 0)) return;
+
+      this.pollSubscriptions = this.getPollSources().map(([endpointFn, args], index) =>
+        this.api.poll(endpointFn, args, (response, { unchanged }) => {
+          // Same result as last time: nothing to re-render unless an error replaced it
+          if (unchanged && !this.hasError) return;
+
+          this.storePollData(response, index);
+          if (!this.gamesResponse || (this.options.roomId && !this.roomData)) return;
+
+          this.applyGames()
+            .then(() => this.setError(null))
+            .catch((error) => this.handleRefreshError(error));
+        }, {
+          interval: this.options.refreshInterval,
+          immediate: false,
+          onError: (error) => this.handleRefreshError(error),
+          ...this.getRequestContext(),
+        })
+      );
     }
 
     /**
-     * Stop auto-refresh timer
+     * Stop auto-refresh and auto-scroll
      */
     stopRefresh() {
-      if (this.refreshTimer) {
-        clearInterval(this.refreshTimer);
-        this.refreshTimer = null;
-      }
+      this.pollSubscriptions.forEach(unsubscribe => unsubscribe());
+      this.pollSubscriptions = [];
+      this.stopAutoScroll();
     }
 
     /**
      * Destroy the widget
      */
     destroy() {
+      this.cancelRequests();
       this.stopRefresh();
-      this.stopAutoScroll();
       this.container.innerHTML = '';
-      this.container.classList.remove('widget', 'widget-game-carousel');
+      this.container.classList.remove('widget', 'widget-game-carousel', 'widget-unavailable');
       this.container.removeAttribute('data-widget-id');
       this.container.removeAttribute('role');
       this.container.removeAttribute('aria-label');
@@ -828,9 +867,12 @@ const GameCarousel = (() => {
      * @param {Object} newOptions - New options to merge
      */
     updateOptions(newOptions) {
+      this.cancelRequests();
       this.options = { ...this.options, ...newOptions };
-      this.render();
-      this.bindEvents();
+      this.roomData = null;
+      this.gamesResponse = null;
+      this.stopRefresh();
+      this.mount();
     }
 
     /**
@@ -842,6 +884,8 @@ const GameCarousel = (() => {
     }
   }
 
+  Widgets.useLifecycle(GameCarouselWidget, { name: 'GameCarousel', className: 'game-carousel-widget' });
+
   /**
    * Create a new game carousel widget
    * @param {string|HTMLElement} container - Container selector or element
@@ -1,6 +1,7 @@
 /**
  * MyPrize Streamer Toolkit - Leaderboard Widget
  * Displays mission rankings with animated rank changes
+ * Load after widgets.js, which provides the shared component lifecycle
  * @module Leaderboard
  */
 
@@ -23,6 +24,10 @@ const Leaderboard = (() => {
     showHeader: true,
     highlightUser: null,
     animate: true,
+    api: null, // API client from MyPrizeAPI.createClient(); defaults to MyPrizeAPI
+    consumer: null, // Rate limit consumer; defaults to 'Leaderboard'
+    priority: 'normal', // Rate limit priority: 'high', 'normal' or 'low'
+    requires: [], // Extra features the leaderboard needs, e.g. ['currency:SC']
   };
 
   /**
@@ -50,6 +55,8 @@ const Leaderboard = (() => {
      * @param {number} [options.refreshInterval=30000] - Auto-refresh interval in ms
      * @param {boolean} [options.showHeader=true] - Show widget header
      * @param {string} [options.highlightUser] - Username to highlight
+     * @param {Object} [options.api] - API client from MyPrizeAPI.createClient()
+     * @param {string[]} [options.requires] - Extra features needed to show it (see MyPrizeAPI.checkRequirements)
      */
     constructor(container, options = {}) {
       this.container = typeof container === 'string'
@@ -62,11 +69,12 @@ const Leaderboard = (() => {
 
       this.options = { ...defaultOptions, ...options };
       this.id = 'leaderboard-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-      this.refreshTimer = null;
+      this.watcher = null;
       this.isLoading = false;
       this.hasError = false;
       this.data = [];
-      this.previousData = [];
+      this.mission = null;
+      this.abortController = new AbortController();
 
       this.init();
     }
@@ -81,8 +89,16 @@ const Leaderboard = (() => {
       this.container.setAttribute('role', 'region');
       this.container.setAttribute('aria-label', this.options.title);
 
-      this.render();
-      this.startRefresh();
+      this.mount();
+    }
+
+    /**
+     * Features this leaderboard needs: missions for a mission leaderboard,
+     * plus options.requires
+     * @returns {string[]} Requirements
+     */
+    getRequirements() {
+      return [...(this.options.missionId ? ['missions'] : []), ...this.options.requires];
     }
 
     /**
@@ -106,6 +122,7 @@ const Leaderboard = (() => {
             </div>
           ` : ''}
           <div class="card-body">
+            ${this.options.missionId ? '<div class="leaderboard-mission" hidden></div>' : ''}
             <div class="leaderboard-list" role="list" aria-live="polite"></div>
           </div>
         </div>
@@ -123,7 +140,62 @@ const Leaderboard = (() => {
         });
       }
 
-      this.refresh();
+      if (this.options.missionId) {
+        this.loadMission();
+      } else {
+        this.mission = null;
+      }
+    }
+
+    /**
+     * Load the mission this leaderboard ranks, for its name, end date and prizes
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadMission() {
+      const missionId = this.options.missionId;
+
+      try {
+        const mission = await this.api.missions.get(missionId, this.getRequestContext());
+        if (missionId !== this.options.missionId) return;
+
+        this.mission = MyPrizeModels.mission(mission);
+        this.renderMission();
+        if (this.data.length > 0) this.renderEntries();
+      } catch (error) {
+        // Rankings still work without the mission details
+        if (error.code === 'ABORTED') return;
+        console.warn('[Leaderboard] Failed to load mission details:', error);
+      }
+    }
+
+    /**
+     * Render the mission name, end date and prize positions
+     * @private
+     */
+    renderMission() {
+      const missionEl = this.container.querySelector('.leaderboard-mission');
+      if (!missionEl || !this.mission) return;
+
+      const { name, endsAt, prizes } = this.mission;
+
+      missionEl.innerHTML = `
+        <div class="mission-header">
+          <span class="mission-name">${this.escapeHtml(name)}</span>
+          ${endsAt ? `<span class="mission-ends text-muted">${this.formatEndDate(endsAt)}</span>` : ''}
+        </div>
+        ${prizes.length > 0 ? `
+          <ol class="mission-prizes" aria-label="Prizes">
+            ${prizes.map(prize => `
+              <li class="mission-prize">
+                <span class="prize-position">${this.formatPosition(prize.position)}</span>
+                <span class="prize-reward">${this.escapeHtml(prize.reward)}</span>
+              </li>
+            `).join('')}
+          </ol>
+        ` : ''}
+      `;
+      missionEl.hidden = false;
     }
 
     /**
@@ -131,42 +203,69 @@ const Leaderboard = (() => {
      * @returns {Promise<void>}
      */
     async refresh() {
-      if (this.isLoading) return;
+      if (this.isLoading || !this.watcher) return;
 
       this.setLoading(true);
 
       try {
-        let entries = [];
-
-        if (this.options.missionId) {
-          // Fetch mission leaderboard
-          const response = await MyPrizeAPI.missions.getLeaderboard(this.options.missionId);
-          entries = this.normalizeLeaderboardData(response);
-        } else {
-          // Fetch general bets data as leaderboard (wins by user)
-          const response = await MyPrizeAPI.bets.getWins({
-            page_size: this.options.limit * 2,
-            room_id: this.options.roomId,
-          });
-          entries = this.aggregateWinsToLeaderboard(Array.isArray(response) ? response : response.data || []);
-        }
-
-        // Store previous data for animation comparison
-        this.previousData = [...this.data];
-        this.data = entries.slice(0, this.options.limit);
-
-        this.renderEntries();
+        await this.watcher.refresh();
         this.setError(null);
 
       } catch (error) {
-        console.error('[Leaderboard] Refresh error:', error);
-        this.setError(error);
-        this.renderError();
+        this.handleRefreshError(error);
       } finally {
         this.setLoading(false);
       }
     }
 
+    /**
+     * Resource this leaderboard is built from, as an [endpointFn, args] pair
+     * @returns {Array} Endpoint method and its arguments
+     * @private
+     */
+    getPollSource() {
+      if (this.options.missionId) {
+        // Mission leaderboard
+        return [this.api.missions.getLeaderboard, [this.options.missionId, { page_size: this.options.limit }]];
+      }
+
+      // General bets data as leaderboard (wins by user)
+      return [this.api.bets.getWins, [{
+        page_size: this.options.limit * 2,
+        room_id: this.options.roomId,
+      }]];
+    }
+
+    /**
+     * Build the displayed entries from an API response
+     * @param {Object|Array} response - API response
+     * @returns {Array} Entries, best first
+     * @private
+     */
+    buildEntries(response) {
+      const entries = this.options.missionId
+        ? this.normalizeLeaderboardData(response)
+        : this.aggregateWinsToLeaderboard(MyPrizeModels.list(response, 'bet'));
+
+      return entries.slice(0, this.options.limit);
+    }
+
+    /**
+     * Render a watcher update, marking entries whose rank moved
+     * @param {Object} update - { items, changed, previous } from the watcher
+     * @private
+     */
+    applyUpdate({ items, changed, previous }) {
+      const previousRanks = new Map(changed.map((entry, i) => [entry.username, previous[i].rank]));
+
+      this.data = items.map(entry => {
+        const prevRank = previousRanks.get(entry.username);
+        return { ...entry, change: prevRank ? prevRank - entry.rank : 0 };
+      });
+
+      this.renderEntries();
+    }
+
     /**
      * Normalize leaderboard data from different API response formats
      * @param {Object|Array} response - API response
@@ -174,22 +273,29 @@ const Leaderboard = (() => {
      * @private
      */
     normalizeLeaderboardData(response) {
-      const data = response.data || response.leaderboard || response.results || response;
-      if (!Array.isArray(data)) return [];
-
-      return data.map((entry, index) => ({
-        rank: entry.rank || index + 1,
-        username: entry.username || entry.user?.username || entry.name || 'Anonymous',
-        score: entry.score || entry.points || entry.total || entry.amount || 0,
-        avatar: entry.avatar || entry.user?.avatar || null,
-        userId: entry.user_id || entry.userId || entry.id,
-        change: entry.change || 0,
+      return (response.entries || []).map(entry => ({
+        rank: entry.rank,
+        username: entry.user.username,
+        score: entry.score,
+        avatar: entry.user.avatar,
+        userId: entry.user.id,
+        prize: entry.prize,
       }));
     }
 
+    /**
+     * Prize for a finishing position, from the loaded mission
+     * @param {number} rank - Player rank
+     * @returns {string|null} Prize label
+     * @private
+     */
+    getPrizeForRank(rank) {
+      return this.mission?.prizes.find(p => p.position === rank)?.reward ?? null;
+    }
+
     /**
      * Aggregate wins data into a leaderboard format
-     * @param {Array} wins - Array of win records
+     * @param {Array} wins - Array of Bet models
      * @returns {Array} Aggregated leaderboard
      * @private
      */
@@ -197,9 +303,7 @@ const Leaderboard = (() => {
       const userTotals = new Map();
 
       wins.forEach(win => {
-        const username = win.username || win.user?.username || 'Anonymous';
-        const amount = win.amount_won || win.amount || 0;
-        const avatar = win.avatar || win.user?.avatar || null;
+        const { username, amountWon: amount, avatar } = win;
 
         if (userTotals.has(username)) {
           const existing = userTotals.get(username);
@@ -216,23 +320,12 @@ const Leaderboard = (() => {
       });
 
       // Convert to array and sort by score
-      const entries = Array.from(userTotals.values())
+      return Array.from(userTotals.values())
         .sort((a, b) => b.score - a.score)
         .map((entry, index) => ({
           ...entry,
           rank: index + 1,
         }));
-
-      // Calculate rank changes if we have previous data
-      if (this.previousData.length > 0) {
-        const previousRanks = new Map(this.previousData.map(e => [e.username, e.rank]));
-        entries.forEach(entry => {
-          const prevRank = previousRanks.get(entry.username);
-          entry.change = prevRank ? prevRank - entry.rank : 0;
-        });
-      }
-
-      return entries;
     }
 
     /**
@@ -252,29 +345,26 @@ const Leaderboard = (() => {
         return;
       }
 
-      // Build previous rank map for animations
-      const previousRanks = new Map(this.previousData.map(e => [e.username, e.rank]));
-
       listEl.innerHTML = this.data.map((entry, index) => {
         const isTopThree = entry.rank <= 3;
         const isHighlighted = this.options.highlightUser &&
           entry.username.toLowerCase() === this.options.highlightUser.toLowerCase();
 
         // Determine rank change animation
-        const prevRank = previousRanks.get(entry.username);
         let changeClass = '';
         let changeIcon = '';
 
-        if (this.options.animateChanges && prevRank !== undefined) {
-          if (prevRank > entry.rank) {
+        if (this.options.animateChanges && entry.change) {
+          if (entry.change > 0) {
             changeClass = 'rank-up';
             changeIcon = `<span class="rank-change-icon up" aria-label="Moved up">&#9650;</span>`;
-          } else if (prevRank < entry.rank) {
+          } else {
             changeClass = 'rank-down';
             changeIcon = `<span class="rank-change-icon down" aria-label="Moved down">&#9660;</span>`;
           }
         }
 
+        const prize = entry.prize ?? this.getPrizeForRank(entry.rank);
         const animationDelay = this.options.animate ? index * 50 : 0;
         const medalClass = isTopThree && this.options.showPodium ? `podium-${MEDALS[entry.rank - 1]}` : '';
 
@@ -298,6 +388,7 @@ const Leaderboard = (() => {
                 </div>
               ` : ''}
               <span class="entry-username">${this.escapeHtml(entry.username)}</span>
+              ${prize ? `<span class="entry-prize" title="Prize">${this.escapeHtml(prize)}</span>` : ''}
             </div>
             <div class="entry-score">
               <span class="score-value">${this.formatScore(entry.score)}</span>
@@ -349,6 +440,31 @@ const Leaderboard = (() => {
       return new Intl.NumberFormat().format(Math.round(score));
     }
 
+    /**
+     * Format a mission end date, e.g. "Ends Dec 31"
+     * @param {string} end - ISO date string
+     * @returns {string} Formatted label
+     * @private
+     */
+    formatEndDate(end) {
+      const date = new Date(end);
+      if (Number.isNaN(date.getTime())) return '';
+
+      const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      return date.getTime() < Date.now() ? `Ended ${label}` : `Ends ${label}`;
+    }
+
+    /**
+     * Format a prize position as an ordinal, e.g. 1 -> "1st"
+     * @param {number} position - Finishing position
+     * @returns {string} Ordinal
+     * @private
+     */
+    formatPosition(position) {
+      const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+      return position + suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(position)];
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} str - String to escape
@@ -435,21 +551,37 @@ const Leaderboard = (() => {
     }
 
     /**
-     * Start auto-refresh timer
+     * Watch the rankings and load them now. The watcher refreshes on the shared
+     * polling scheduler and remembers the last rankings across reloads, so
+     * rank changes are worked out there rather than between renders.
      */
     startRefresh() {
-      if (this.options.refreshInterval > 0) {
-        this.refreshTimer = setInterval(() => this.refresh(), this.options.refreshInterval);
-      }
+      const [endpointFn, args] = this.getPollSource();
+
+      // The signal also stops the watcher, so destroy() and updateOptions() cancel its requests
+      this.watcher = this.api.watch(endpointFn, args, {
+        key: 'username',
+        select: response => this.buildEntries(response),
+        interval: this.options.refreshInterval,
+        immediate: false,
+        ...this.getRequestContext(),
+      });
+      this.watcher.on('update', update => {
+        this.setError(null);
+        this.applyUpdate(update);
+      });
+      this.watcher.on('error', error => this.handleRefreshError(error));
+
+      this.refresh();
     }
 
     /**
-     * Stop auto-refresh timer
+     * Stop auto-refresh
      */
     stopRefresh() {
-      if (this.refreshTimer) {
-        clearInterval(this.refreshTimer);
-        this.refreshTimer = null;
+      if (this.watcher) {
+        this.watcher.stop();
+        this.watcher = null;
       }
     }
 
@@ -457,9 +589,10 @@ const Leaderboard = (() => {
      * Destroy the widget
      */
     destroy() {
+      this.cancelRequests();
       this.stopRefresh();
       this.container.innerHTML = '';
-      this.container.classList.remove('widget', 'widget-leaderboard');
+      this.container.classList.remove('widget', 'widget-leaderboard', 'widget-unavailable');
       this.container.removeAttribute('data-widget-id');
       this.container.removeAttribute('role');
       this.container.removeAttribute('aria-label');
@@ -470,8 +603,10 @@ const Leaderboard = (() => {
      * @param {Object} newOptions - New options to merge
      */
     updateOptions(newOptions) {
+      this.cancelRequests();
       this.options = { ...this.options, ...newOptions };
-      this.render();
+      this.stopRefresh();
+      this.mount();
     }
 
     /**
@@ -492,6 +627,8 @@ const Leaderboard = (() => {
     }
   }
 
+  Widgets.useLifecycle(LeaderboardWidget, { name: 'Leaderboard', className: 'leaderboard-widget' });
+
   /**
    * Create a new leaderboard widget
    * @param {string|HTMLElement} container - Container selector or element
@@ -12,12 +12,19 @@ const RoomSelector = (() => {
   let availableRooms = [];
   let isLoading = false;
   let apiAvailable = true;
+  let apiClient = null;
   const listeners = new Set();
 
+  // API client passed to init(), or the global MyPrizeAPI
+  function getApi() {
+    return apiClient || MyPrizeAPI;
+  }
+
   /**
    * Initialize the room selector
    * @param {string|HTMLElement} container - Container selector or element
    * @param {Object} options - Configuration options
+   * @param {Object} [options.api] - API client from MyPrizeAPI.createClient()
    */
   function init(container, options = {}) {
     const containerEl = typeof container === 'string'
@@ -35,8 +42,10 @@ const RoomSelector = (() => {
       autoLoadFromUrl: true,
       urlParam: 'room',
       storageKey: 'myprize_selected_room',
+      api: null,
       ...options,
     };
+    apiClient = opts.api;
 
     // Render the component
     render(containerEl, opts);
@@ -53,7 +62,7 @@ const RoomSelector = (() => {
         // Try to load from storage
         const stored = loadFromStorage(opts.storageKey);
         if (stored) {
-          currentRoom = stored;
+          currentRoom = MyPrizeModels.room(stored);
           updateDisplay(containerEl);
           notifyListeners();
         }
@@ -177,8 +186,13 @@ const RoomSelector = (() => {
   async function loadAvailableRooms() {
     try {
       isLoading = true;
-      const response = await MyPrizeAPI.rooms.list({ page_size: 100 });
-      availableRooms = response.results || response.data || [];
+      // Walk every page at low priority, leaving budget for the widgets
+      const rooms = await getApi().collectAll(getApi().rooms.list, {}, {
+        maxItems: 1000,
+        consumer: 'RoomSelector',
+        priority: 'low',
+      });
+      availableRooms = rooms.map(room => MyPrizeModels.room(room));
       apiAvailable = true;
       console.log(`[RoomSelector] Loaded ${availableRooms.length} rooms`);
     } catch (error) {
@@ -200,8 +214,8 @@ const RoomSelector = (() => {
     const lowerQuery = query.toLowerCase();
     const matches = availableRooms.filter(room =>
       room.name?.toLowerCase().includes(lowerQuery) ||
-      room.url_path?.toLowerCase().includes(lowerQuery) ||
-      room.creator_username?.toLowerCase().includes(lowerQuery)
+      room.slug?.toLowerCase().includes(lowerQuery) ||
+      room.creatorUsername?.toLowerCase().includes(lowerQuery)
     ).slice(0, 8);
 
     if (matches.length === 0) {
@@ -220,17 +234,17 @@ const RoomSelector = (() => {
       }
     } else {
       suggestionsEl.innerHTML = matches.map(room => `
-        <div class="suggestion-item" data-slug="${room.url_path}">
+        <div class="suggestion-item" data-slug="${room.slug}">
           <img class="suggestion-avatar"
                src="${room.avatar || ''}"
                alt=""
                onerror="this.style.display='none'">
           <div class="suggestion-info">
             <span class="suggestion-name">${escapeHtml(room.name)}</span>
-            <span class="suggestion-slug text-muted">${room.url_path}</span>
+            <span class="suggestion-slug text-muted">${room.slug}</span>
           </div>
-          <span class="suggestion-status ${room.stream_status === 'online' ? 'online' : ''}">
-            ${room.stream_status === 'online' ? 'LIVE' : ''}
+          <span class="suggestion-status ${room.isLive ? 'online' : ''}">
+            ${room.isLive ? 'LIVE' : ''}
           </span>
         </div>
       `).join('');
@@ -261,9 +275,31 @@ const RoomSelector = (() => {
   /**
    * Select a room by slug
    */
-  async function selectRoomBySlug(slug, container) {
+  function selectRoomBySlug(slug, container) {
     const normalizedSlug = slug.toLowerCase().trim();
+    return selectRoom(api => api.rooms.getBySlug(normalizedSlug, { consumer: 'RoomSelector' }), container, {
+      slug: normalizedSlug,
+      notFound: `Room "${normalizedSlug}" not found. Check the slug and try again.`,
+    });
+  }
 
+  /**
+   * Select a room by ID, for rooms known only by their ID (e.g. a livestream without a slug)
+   */
+  function selectRoomById(id, container) {
+    return selectRoom(api => api.rooms.get(id, { consumer: 'RoomSelector' }), container, {
+      notFound: `Room ${id} not found.`,
+    });
+  }
+
+  /**
+   * Load a room and make it the current one
+   * @param {Function} lookup - Receives the API client, resolves to the raw room
+   * @param {HTMLElement} [container] - Selector container
+   * @param {Object} details - { slug, notFound }: slug for ?room= (the room's own when
+   *   omitted) and the message shown when the lookup fails
+   */
+  async function selectRoom(lookup, container, { slug = null, notFound }) {
     // Find container if not provided
     if (!container) {
       container = document.querySelector('.room-selector')?.parentElement;
@@ -273,28 +309,22 @@ const RoomSelector = (() => {
     hideError(container);
 
     try {
-      // Look up room by slug
-      const room = await MyPrizeAPI.rooms.getBySlug(normalizedSlug);
-
-      currentRoom = {
-        id: room.id,
-        slug: room.url_path,
-        name: room.name,
-        avatar: room.avatar,
-        streamStatus: room.stream_status,
-        viewerCount: room.current_user_count || 0,
-        creatorUsername: room.creator_username,
-        description: room.description,
-        followerCount: room.follower_count,
-        lastGame: room.last_igame_played_name,
-        socialAccounts: room.creator_social_accounts || [],
-      };
+      const room = await lookup(getApi());
+      const previousId = currentRoom?.id;
+
+      currentRoom = MyPrizeModels.room(room);
+
+      // Widgets reload for the new room; don't serve them what was cached on an earlier visit
+      if (currentRoom.id !== previousId) {
+        getApi().invalidate(`room:${currentRoom.id}`);
+      }
 
       // Save to storage
       saveToStorage('myprize_selected_room', currentRoom);
 
-      // Update URL
-      updateUrlParam('room', normalizedSlug);
+      // Update URL; ?room= is looked up by slug on the next load
+      const urlSlug = slug || currentRoom.slug?.toLowerCase();
+      if (urlSlug) updateUrlParam('room', urlSlug);
 
       // Update display
       updateDisplay(container);
@@ -313,7 +343,7 @@ const RoomSelector = (() => {
 
     } catch (error) {
       console.error('[RoomSelector] Failed to load room:', error);
-      showError(container, `Room "${normalizedSlug}" not found. Check the slug and try again.`);
+      showError(container, notFound);
     } finally {
       setLoading(container, false);
     }
@@ -532,6 +562,7 @@ const RoomSelector = (() => {
     getRoomId,
     getRoomSlug,
     selectRoomBySlug,
+    selectRoomById,
     clearRoom,
     subscribe,
     loadAvailableRooms,
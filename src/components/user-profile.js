@@ -1,6 +1,7 @@
 /**
  * MyPrize Streamer Toolkit - User Profile Widget
  * Displays user public profile with stats and achievements
+ * Load after widgets.js, which provides the shared component lifecycle
  * @module UserProfile
  */
 
@@ -21,6 +22,9 @@ const UserProfile = (() => {
     animateStats: true,
     compact: false,
     refreshInterval: 60000,
+    api: null, // API client from MyPrizeAPI.createClient(); defaults to MyPrizeAPI
+    consumer: null, // Rate limit consumer; defaults to 'UserProfile'
+    priority: 'normal', // Rate limit priority: 'high', 'normal' or 'low'
   };
 
   /**
@@ -41,6 +45,7 @@ const UserProfile = (() => {
      * @param {boolean} [options.animateStats=true] - Animate stat counters
      * @param {boolean} [options.compact=false] - Use compact layout
      * @param {number} [options.refreshInterval=60000] - Auto-refresh interval in ms
+     * @param {Object} [options.api] - API client from MyPrizeAPI.createClient()
      */
     constructor(container, options = {}) {
       this.container = typeof container === 'string'
@@ -54,9 +59,11 @@ const UserProfile = (() => {
       this.options = { ...defaultOptions, ...options };
       this.id = 'profile-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
       this.refreshTimer = null;
+      this.unsubscribePoll = null;
       this.isLoading = false;
       this.hasError = false;
       this.data = null;
+      this.abortController = new AbortController();
 
       this.init();
     }
@@ -108,7 +115,7 @@ const UserProfile = (() => {
 
         if (this.options.userId) {
           // Fetch user by ID
-          userData = await MyPrizeAPI.users.get(this.options.userId);
+          userData = await this.api.users.get(this.options.userId, this.getRequestContext());
         } else if (this.options.username) {
           // We might need to search by username - use the stats endpoint
           // and provide mock data for demo purposes
@@ -117,19 +124,26 @@ const UserProfile = (() => {
           throw new Error('Either userId or username must be provided');
         }
 
-        this.data = this.normalizeUserData(userData);
-        this.renderProfile();
+        this.applyUserData(userData);
         this.setError(null);
 
       } catch (error) {
-        console.error('[UserProfile] Refresh error:', error);
-        this.setError(error);
-        this.renderError();
+        this.handleRefreshError(error);
       } finally {
         this.setLoading(false);
       }
     }
 
+    /**
+     * Normalize and render a user record
+     * @param {Object} userData - Raw user data
+     * @private
+     */
+    applyUserData(userData) {
+      this.data = MyPrizeModels.user(userData);
+      this.renderProfile();
+    }
+
     /**
      * Create demo user data for preview
      * @param {string} username - Username
@@ -155,35 +169,6 @@ const UserProfile = (() => {
       };
     }
 
-    /**
-     * Normalize user data from API response
-     * @param {Object} userData - Raw user data
-     * @returns {Object} Normalized user data
-     * @private
-     */
-    normalizeUserData(userData) {
-      return {
-        id: userData.id || userData.user_id,
-        username: userData.username || userData.name || 'Anonymous',
-        avatar: userData.avatar || userData.profile_image || null,
-        joinedAt: userData.joined_at || userData.created_at || userData.createdAt,
-        stats: {
-          totalBets: userData.stats?.total_bets || userData.total_bets || 0,
-          totalWins: userData.stats?.total_wins || userData.total_wins || 0,
-          biggestWin: userData.stats?.biggest_win || userData.biggest_win || 0,
-          favoriteGame: userData.stats?.favorite_game || userData.favorite_game || null,
-          winRate: userData.stats?.win_rate || userData.win_rate || null,
-        },
-        badges: (userData.badges || userData.achievements || []).map(badge => ({
-          id: badge.id || badge.badge_id,
-          name: badge.name || badge.title,
-          icon: badge.icon || badge.emoji || '&#127942;',
-          description: badge.description || '',
-        })),
-        level: userData.level || userData.rank || null,
-      };
-    }
-
     /**
      * Render user profile
      * @private
@@ -478,28 +463,47 @@ const UserProfile = (() => {
     }
 
     /**
-     * Start auto-refresh timer
+     * Start auto-refresh. Real users poll on the shared scheduler; demo
+     * users have no API resource and keep a private timer.
      */
     startRefresh() {
-      if (this.options.refreshInterval > 0) {
+      if (!(this.options.refreshInterval > 0)) return;
+
+      if (this.options.userId) {
+        this.unsubscribePoll = this.api.poll(this.api.users.get, [this.options.userId], (userData, { unchanged }) => {
+          // Same result as last time: nothing to re-render unless an error replaced it
+          if (!unchanged || this.hasError) this.applyUserData(userData);
+          this.setError(null);
+        }, {
+          interval: this.options.refreshInterval,
+          immediate: false,
+          onError: (error) => this.handleRefreshError(error),
+          ...this.getRequestContext(),
+        });
+      } else {
         this.refreshTimer = setInterval(() => this.refresh(), this.options.refreshInterval);
       }
     }
 
     /**
-     * Stop auto-refresh timer
+     * Stop auto-refresh
      */
     stopRefresh() {
       if (this.refreshTimer) {
         clearInterval(this.refreshTimer);
         this.refreshTimer = null;
       }
+      if (this.unsubscribePoll) {
+        this.unsubscribePoll();
+        this.unsubscribePoll = null;
+      }
     }
 
     /**
      * Destroy the widget
      */
     destroy() {
+      this.cancelRequests();
       this.stopRefresh();
       this.container.innerHTML = '';
       this.container.classList.remove('widget', 'widget-user-profile', 'widget-compact');
@@ -513,13 +517,16 @@ const UserProfile = (() => {
      * @param {Object} newOptions - New options to merge
      */
     updateOptions(newOptions) {
+      this.cancelRequests();
       this.options = { ...this.options, ...newOptions };
       if (this.options.compact) {
         this.container.classList.add('widget-compact');
       } else {
         this.container.classList.remove('widget-compact');
       }
+      this.stopRefresh();
       this.render();
+      this.startRefresh();
     }
 
     /**
@@ -530,7 +537,10 @@ const UserProfile = (() => {
       this.options.userId = userId;
       this.options.username = null;
       this.data = null;
+      this.cancelRequests();
+      this.stopRefresh();
       this.refresh();
+      this.startRefresh();
     }
 
     /**
@@ -541,7 +551,10 @@ const UserProfile = (() => {
       this.options.username = username;
       this.options.userId = null;
       this.data = null;
+      this.cancelRequests();
+      this.stopRefresh();
       this.refresh();
+      this.startRefresh();
     }
 
     /**
@@ -553,6 +566,8 @@ const UserProfile = (() => {
     }
   }
 
+  Widgets.useLifecycle(UserProfileWidget, { name: 'UserProfile' });
+
   /**
    * Create a new user profile widget
    * @param {string|HTMLElement} container - Container selector or element
@@ -15,8 +15,167 @@ const Widgets = (() => {
     animate: true,
     showHeader: true,
     theme: 'auto',
+    api: null, // API client from MyPrizeAPI.createClient(); defaults to MyPrizeAPI
+    consumer: null, // Rate limit consumer; defaults to the widget class name
+    priority: 'normal', // Rate limit priority: 'high', 'normal' or 'low'
+    requires: [], // Extra features the widget needs, e.g. ['tournaments'] or ['currency:SC']
+  };
+
+  // Names for requirements in the unavailable state
+  const REQUIREMENT_LABELS = {
+    rooms: 'Rooms',
+    missions: 'Missions',
+    igames: 'Games',
+    livestreams: 'Livestreams',
+    banners: 'Promotions',
+    jackpots: 'Jackpots',
+    'currency:SC': 'Sweepstakes Coins',
+    'currency:GC': 'Gold Coins',
+  };
+
+  // Jackpot amounts always show two decimals, so counters don't change width as they climb
+  const JACKPOT_AMOUNT_FORMAT = new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+  // Livestreams sort orders
+  const LIVESTREAM_SORTS = {
+    viewers: { label: 'Most viewers', compare: (a, b) => b.viewerCount - a.viewerCount },
+    newest: { label: 'Newest', compare: (a, b) => new Date(b.startedAt || 0) - new Date(a.startedAt || 0) },
+    title: { label: 'Title', compare: (a, b) => a.title.localeCompare(b.title) },
+  };
+
+  /**
+   * What every component shares: the requirement check on mount, the unavailable
+   * state, request cancellation and refresh errors. Widget has it built in;
+   * Leaderboard, GameCarousel and UserProfile add it with useLifecycle().
+   */
+  const lifecycle = {
+    // Render and start refreshing once the features this component needs are
+    // confirmed; otherwise show why it's unavailable and make no requests
+    mount() {
+      const requires = this.getRequirements();
+      this.container.classList.remove('widget-unavailable');
+
+      if (requires.length === 0) {
+        this.showContent();
+        return;
+      }
+
+      // Aborted when the component is destroyed or remounted before the check returns
+      const { signal } = this.abortController;
+      Promise.resolve()
+        .then(() => this.api.checkRequirements(requires))
+        .then(result => {
+          if (signal.aborted) return;
+
+          if (result.missing.length > 0) {
+            this.renderUnavailable(result);
+            return;
+          }
+          this.showContent();
+        })
+        .catch(error => {
+          if (signal.aborted) return;
+
+          // Show the component when requirements can't be checked, as when capabilities can't load
+          console.warn(`[${this.componentName}] Requirement check failed; showing anyway:`, error);
+          this.stopRefresh();
+          this.showContent();
+        });
+    },
+
+    // Render and start refreshing
+    showContent() {
+      this.render();
+      this.startRefresh();
+    },
+
+    // Shown instead of the component when a requirement isn't met
+    renderUnavailable({ missing, restricted, region, state }) {
+      const names = missing.map(requirement => REQUIREMENT_LABELS[requirement] || requirement);
+      const where = [state, region].filter(Boolean).join(', ');
+      const reason = restricted.length > 0
+        ? `Not available${where ? ` in ${where}` : ' in your region'}`
+        : 'Turned off right now';
+      const cardClass = [this.componentClass, 'widget-unavailable-state card'].filter(Boolean).join(' ');
+
+      this.container.classList.add('widget-unavailable');
+      this.container.innerHTML = `
+        <div class="${cardClass}">
+          ${this.options.showHeader && this.options.title ? `
+            <div class="card-header">
+              <h3 class="card-title">${this.escapeHtml(this.options.title)}</h3>
+            </div>
+          ` : ''}
+          <div class="card-body empty-state">
+            <p class="text-muted">${reason}</p>
+            <p class="text-sm text-muted">Needs ${this.escapeHtml(names.join(', '))}</p>
+          </div>
+        </div>
+      `;
+
+      this.container.dispatchEvent(new CustomEvent('widgetunavailable', {
+        bubbles: true,
+        detail: { widget: this, missing },
+      }));
+    },
+
+    handleRefreshError(error) {
+      // Cancelled requests aren't failures, and the dashboard reports an
+      // open circuit once; keep showing the last data
+      if (error.code === 'ABORTED' || error.code === 'CIRCUIT_OPEN') return;
+
+      console.error(`[${this.componentName}] Refresh error:`, error);
+      this.setError(error);
+      this.renderError();
+    },
+
+    // API client this component talks to
+    get api() {
+      return this.options.api || MyPrizeAPI;
+    },
+
+    // Consumer and priority this component's requests count against, and the
+    // signal that cancels them
+    getRequestContext() {
+      return {
+        consumer: this.options.consumer || this.componentName,
+        priority: this.options.priority,
+        signal: this.abortController.signal,
+      };
+    },
+
+    // Abort outstanding requests and retry waits so they can't render later
+    cancelRequests() {
+      this.abortController.abort();
+      this.abortController = new AbortController();
+      this.setLoading(false);
+    },
   };
 
+  /**
+   * Add the shared lifecycle to a component class. Methods the class defines
+   * itself are kept, so it can override any of them.
+   * @param {Function} Component - Component class
+   * @param {Object} [details]
+   * @param {string} [details.name] - Name in logs and the default rate limit consumer
+   * @param {string} [details.className] - Extra class for the unavailable card, e.g. 'leaderboard-widget'
+   * @returns {Function} The same class
+   */
+  function useLifecycle(Component, { name, className } = {}) {
+    const proto = Component.prototype;
+    Object.entries(Object.getOwnPropertyDescriptors(lifecycle)).forEach(([key, descriptor]) => {
+      if (!Object.prototype.hasOwnProperty.call(proto, key)) {
+        Object.defineProperty(proto, key, descriptor);
+      }
+    });
+    if (name) Object.defineProperty(proto, 'componentName', { value: name });
+    if (className) proto.componentClass = className;
+    return Component;
+  }
+
   /**
    * Base Widget Class
    */
@@ -33,9 +192,11 @@ const Widgets = (() => {
       this.options = { ...defaultOptions, ...options };
       this.id = 'widget-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
       this.refreshTimer = null;
+      this.pollSubscriptions = [];
       this.isLoading = false;
       this.hasError = false;
       this.data = null;
+      this.abortController = new AbortController();
 
       this.init();
     }
@@ -45,8 +206,18 @@ const Widgets = (() => {
       this.container.setAttribute('data-widget-id', this.id);
       registry.set(this.id, this);
 
-      this.render();
-      this.startRefresh();
+      this.mount();
+    }
+
+    // Features and currencies this widget needs (see MyPrizeAPI.checkRequirements);
+    // subclasses add their own to options.requires
+    getRequirements() {
+      return [...this.options.requires];
+    }
+
+    // Name in logs and the default rate limit consumer
+    get componentName() {
+      return this.constructor.name;
     }
 
     async render() {
@@ -57,10 +228,50 @@ const Widgets = (() => {
       // Override in subclass
     }
 
+    // Resources this widget polls, as [endpointFn, args] pairs. Widgets
+    // without any keep a private timer that calls refresh().
+    getPollSources() {
+      return [];
+    }
+
+    // Receives data for getPollSources()[index] from the shared scheduler
+    handlePollData(data, index) {
+      // Override in subclass
+    }
+
+    // Show a failed refresh in the widget's content
+    renderError() {
+      // Override in subclass
+    }
+
+    // Call endpoint methods on behalf of this widget
+    callApi(fn) {
+      return this.api.withRequestContext(this.getRequestContext(), fn);
+    }
+
     startRefresh() {
-      if (this.options.refreshInterval > 0) {
+      if (!(this.options.refreshInterval > 0)) return;
+
+      const sources = this.getPollSources();
+      if (sources.length === 0) {
         this.refreshTimer = setInterval(() => this.refresh(), this.options.refreshInterval);
+        return;
       }
+
+      // The first load comes from render(), so polls start one interval out
+      this.pollSubscriptions = sources.map(([endpointFn, args], index) =>
+        this.api.poll(endpointFn, args, (data, { unchanged }) => {
+          // Same result as last time: nothing to re-render unless an error replaced it
+          const stale = unchanged && !this.hasError;
+          this.setError(null);
+          if (!stale) this.handlePollData(data, index);
+        }, {
+          interval: this.options.refreshInterval,
+          immediate: false,
+          onError: error => this.handleRefreshError(error),
+          ...this.getRequestContext(),
+        })
+      );
     }
 
     stopRefresh() {
@@ -68,6 +279,8 @@ const Widgets = (() => {
         clearInterval(this.refreshTimer);
         this.refreshTimer = null;
       }
+      this.pollSubscriptions.forEach(unsubscribe => unsubscribe());
+      this.pollSubscriptions = [];
     }
 
     setLoading(isLoading) {
@@ -80,11 +293,19 @@ const Widgets = (() => {
       this.container.classList.toggle('widget-error', this.hasError);
     }
 
+    updateOptions(newOptions) {
+      this.cancelRequests();
+      this.stopRefresh();
+      this.options = { ...this.options, ...newOptions };
+      this.mount();
+    }
+
     destroy() {
+      this.cancelRequests();
       this.stopRefresh();
       registry.delete(this.id);
       this.container.innerHTML = '';
-      this.container.classList.remove('widget');
+      this.container.classList.remove('widget', 'widget-unavailable');
     }
 
     // Utility: Format number with commas
@@ -107,6 +328,12 @@ const Widgets = (() => {
       return currency === 'USD' ? `${symbol}${formatted}` : `${symbol}${formatted}`;
     }
 
+    // Utility: Escape text for use in HTML content and attributes
+    escapeHtml(str) {
+      const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+      return String(str ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+
     // Utility: Format relative time
     formatRelativeTime(date) {
       const rtf = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
@@ -139,6 +366,8 @@ const Widgets = (() => {
     }
   }
 
+  useLifecycle(Widget);
+
   /**
    * Stat Card Widget
    * Displays a single statistic with optional trend indicator
@@ -189,27 +418,39 @@ const Widgets = (() => {
       this.setLoading(true);
 
       try {
-        let value = this.options.value;
-        let previousValue = this.options.previousValue;
+        const { value, previousValue } = this.options;
 
         if (this.options.fetchFn) {
-          const result = await this.options.fetchFn();
-          value = result.value ?? result;
-          previousValue = result.previousValue ?? this.data?.value;
+          this.applyResult(await this.callApi(this.options.fetchFn));
+        } else {
+          this.data = { value, previousValue };
+          this.updateDisplay(value, previousValue);
         }
-
-        this.data = { value, previousValue };
-        this.updateDisplay(value, previousValue);
         this.setError(null);
 
       } catch (error) {
-        console.error('[StatCard] Refresh error:', error);
-        this.setError(error);
+        this.handleRefreshError(error);
       } finally {
         this.setLoading(false);
       }
     }
 
+    getPollSources() {
+      return this.options.fetchFn ? [[this.options.fetchFn, []]] : [];
+    }
+
+    handlePollData(result) {
+      this.applyResult(result);
+    }
+
+    applyResult(result) {
+      const value = result.value ?? result;
+      const previousValue = result.previousValue ?? this.data?.value;
+
+      this.data = { value, previousValue };
+      this.updateDisplay(value, previousValue);
+    }
+
     updateDisplay(value, previousValue) {
       const valueEl = this.container.querySelector('.value-number');
       const changeEl = this.container.querySelector('.stat-card-change');
@@ -277,11 +518,12 @@ const Widgets = (() => {
         minMultiplier: 10,
         showGame: true,
         showUser: true,
+        priority: 'high', // The feed viewers watch
         ...options,
         refreshInterval: options.refreshInterval || 30000,
       });
 
-      this.previousWins = [];
+      this.wins = [];
     }
 
     async render() {
@@ -310,32 +552,65 @@ const Widgets = (() => {
       this.setLoading(true);
 
       try {
-        const params = {
-          page_size: this.options.limit,
-        };
-
-        if (this.options.roomId) {
-          params.room_id = this.options.roomId;
-        }
-
-        const response = await MyPrizeAPI.bets.getBig(params);
-        // API returns array directly for bets
-        const wins = Array.isArray(response) ? response : (response.data || response.bets || []);
-
-        this.renderWins(wins);
-        this.previousWins = wins;
+        const response = await this.callApi(() => this.api.bets.getBig(this.getParams()));
+        this.applyWins(response);
         this.setError(null);
 
       } catch (error) {
-        console.error('[BigWins] Refresh error:', error);
-        this.setError(error);
-        this.renderError();
+        this.handleRefreshError(error);
       } finally {
         this.setLoading(false);
       }
     }
 
-    renderWins(wins) {
+    getParams() {
+      const params = {
+        page_size: this.options.limit,
+      };
+
+      if (this.options.roomId) {
+        params.room_id = this.options.roomId;
+      }
+
+      return params;
+    }
+
+    // New wins are pushed the moment they happen when the client has a
+    // stream, and polled every refreshInterval otherwise
+    startRefresh() {
+      if (!(this.options.refreshInterval > 0)) return;
+
+      this.pollSubscriptions = [
+        this.api.subscribe('bets.big', this.getParams(), wins => {
+          this.setError(null);
+          this.addWins(wins);
+        }, {
+          interval: this.options.refreshInterval,
+          onError: error => this.handleRefreshError(error),
+          ...this.getRequestContext(),
+        }),
+      ];
+    }
+
+    // A full load animates only the wins that weren't already showing
+    applyWins(response) {
+      const shown = new Set(this.wins.map(w => w.id));
+      const wins = MyPrizeModels.list(response, 'bet');
+
+      this.wins = wins;
+      this.renderWins(wins, new Set(wins.filter(w => !shown.has(w.id)).map(w => w.id)));
+    }
+
+    // The subscription only delivers wins it hasn't seen, so all of these are new
+    addWins(newWins) {
+      const added = MyPrizeModels.list(newWins, 'bet');
+
+      this.wins = [...added, ...this.wins].slice(0, this.options.limit);
+      this.renderWins(this.wins, new Set(added.map(w => w.id)));
+    }
+
+    // newIds are the wins to animate in
+    renderWins(wins, newIds = new Set()) {
       const listEl = this.container.querySelector('.wins-list');
       if (!listEl) return;
 
@@ -348,19 +623,14 @@ const Widgets = (() => {
         return;
       }
 
-      // Use bet_id as unique identifier (API returns bet_id, not id)
-      const newWinIds = new Set(wins.map(w => w.bet_id || w.id));
-      const previousIds = new Set(this.previousWins.map(w => w.bet_id || w.id));
-
       listEl.innerHTML = wins.map((win, index) => {
-        const isNew = !previousIds.has(win.bet_id || win.id);
+        const isNew = newIds.has(win.id);
         const animationDelay = index * 50;
 
-        // API uses 'igame' not 'game', and 'username' directly not 'user.username'
-        const gameName = win.igame?.name || win.game?.name || 'Unknown Game';
-        const gameImage = win.igame?.image || win.game?.image;
-        const username = win.username || win.user?.username || 'Anonymous';
-        const amount = win.amount_won || win.amount || 0;
+        const gameName = win.game.name;
+        const gameImage = win.game.image;
+        const username = win.username;
+        const amount = win.amountWon;
 
         return `
           <div class="win-item ${isNew ? 'animate-fade-in-left' : ''}"
@@ -460,38 +730,56 @@ const Widgets = (() => {
 
       try {
         // Fetch room data and recent bets to calculate momentum
-        const [roomData, recentBets] = await Promise.all([
-          MyPrizeAPI.rooms.get(this.options.roomId),
-          MyPrizeAPI.bets.getRecent({ room_id: this.options.roomId, page_size: 50 }),
-        ]);
+        [this.roomData, this.recentBets] = await this.callApi(() => Promise.all(
+          this.getPollSources().map(([endpointFn, args]) => endpointFn(...args))
+        ));
 
         // Calculate momentum based on activity
-        const momentum = this.calculateMomentum(roomData, recentBets);
+        const momentum = this.calculateMomentum(this.roomData, this.recentBets);
         this.updateMomentum(momentum);
         this.setError(null);
 
       } catch (error) {
-        console.error('[MomentumMeter] Refresh error:', error);
-        this.setError(error);
+        this.handleRefreshError(error);
       } finally {
         this.setLoading(false);
       }
     }
 
+    getPollSources() {
+      if (!this.options.roomId) return [];
+      return [
+        [this.api.rooms.get, [this.options.roomId]],
+        [this.api.bets.getRecent, [{ room_id: this.options.roomId, page_size: 50 }]],
+      ];
+    }
+
+    handlePollData(data, index) {
+      if (index === 0) {
+        this.roomData = data;
+      } else {
+        this.recentBets = data;
+      }
+
+      if (this.roomData && this.recentBets) {
+        this.updateMomentum(this.calculateMomentum(this.roomData, this.recentBets));
+      }
+    }
+
     calculateMomentum(roomData, recentBets) {
       // Simple momentum calculation based on:
       // - Number of recent bets
       // - Average bet size
       // - Big win frequency
 
-      // API returns array directly for bets
-      const bets = Array.isArray(recentBets) ? recentBets : (recentBets.data || recentBets.results || []);
+      const bets = MyPrizeModels.list(recentBets, 'bet');
+      const room = MyPrizeModels.room(roomData);
       const now = Date.now();
       const fiveMinutesAgo = now - 5 * 60 * 1000;
 
       // Count recent activity
       const recentActivity = bets.filter(bet => {
-        const betTime = new Date(bet.created_at || bet.timestamp).getTime();
+        const betTime = new Date(bet.createdAt).getTime();
         return betTime > fiveMinutesAgo;
       });
 
@@ -501,9 +789,8 @@ const Widgets = (() => {
       const bigWins = bets.filter(bet => (bet.multiplier || 0) > 10);
       const bigWinScore = Math.min(bigWins.length * 10, 30);
 
-      // Room viewer bonus (current_user_count from API)
-      const viewerCount = roomData.current_user_count || 0;
-      const viewerScore = Math.min(viewerCount * 3, 30);
+      // Room viewer bonus
+      const viewerScore = Math.min(room.viewerCount * 3, 30);
 
       // Calculate total momentum (0-100)
       const totalMomentum = Math.min(activityScore + bigWinScore + viewerScore, 100);
@@ -624,7 +911,7 @@ const Widgets = (() => {
     }
 
     refresh() {
-      const status = MyPrizeAPI.getRateLimitStatus();
+      const status = this.api.getRateLimitStatus();
       this.updateDisplay(status);
     }
 
@@ -661,6 +948,118 @@ const Widgets = (() => {
     }
   }
 
+  /**
+   * API Health Monitor Widget
+   * Shows connection state and per-endpoint latency, error rate and cache hits
+   */
+  class ApiHealthMonitor extends Widget {
+    constructor(container, options = {}) {
+      super(container, {
+        limit: 5, // Busiest endpoints to list
+        slowAt: 1000, // p90 latency (ms) shown as a warning
+        showWarningAt: 0.05, // Error rate shown as a warning
+        showDangerAt: 0.2, // Error rate shown as an error
+        ...options,
+        refreshInterval: options.refreshInterval || 5000,
+      });
+    }
+
+    async render() {
+      this.container.innerHTML = `
+        <div class="api-health-widget card">
+          ${this.options.showHeader ? `
+            <div class="card-header">
+              <h3 class="card-title">API Health</h3>
+              <span class="api-health-state badge badge-success">Online</span>
+            </div>
+          ` : ''}
+          <div class="card-body">
+            <div class="api-health-summary text-sm">
+              <span class="api-health-requests">0</span> requests ·
+              <span class="api-health-errors">0%</span> errors ·
+              <span class="api-health-hits">0%</span> cached ·
+              p90 <span class="api-health-p90">-</span>
+            </div>
+            <div class="api-health-endpoints"></div>
+          </div>
+        </div>
+      `;
+
+      this.refresh();
+    }
+
+    refresh() {
+      this.updateDisplay(this.api.getMetrics(), this.api.getConnectionState());
+    }
+
+    updateDisplay(metrics, state) {
+      const stateEl = this.container.querySelector('.api-health-state');
+      if (stateEl) {
+        stateEl.textContent = state.charAt(0).toUpperCase() + state.slice(1);
+        stateEl.classList.remove('badge-success', 'badge-warning', 'badge-error');
+        stateEl.classList.add({ online: 'badge-success', degraded: 'badge-warning' }[state] || 'badge-error');
+      }
+
+      const { totals } = metrics;
+      const setText = (selector, text) => {
+        const el = this.container.querySelector(selector);
+        if (el) el.textContent = text;
+      };
+      setText('.api-health-requests', this.formatNumber(totals.requests));
+      setText('.api-health-errors', this.formatPercent(totals.errorRate));
+      setText('.api-health-hits', this.formatPercent(totals.cacheHitRatio));
+      setText('.api-health-p90', this.formatLatency(totals.latency.p90));
+
+      const list = this.container.querySelector('.api-health-endpoints');
+      if (!list) return;
+
+      const endpoints = Object.entries(metrics.endpoints)
+        .sort(([, a], [, b]) => b.requests - a.requests)
+        .slice(0, this.options.limit);
+
+      if (endpoints.length === 0) {
+        list.innerHTML = '<p class="text-muted text-sm">No requests yet</p>';
+        return;
+      }
+
+      list.innerHTML = endpoints.map(([name, metric]) => `
+        <div class="api-health-endpoint list-item">
+          <div class="list-item-content">
+            <div class="list-item-title">${name}</div>
+            <div class="list-item-subtitle">
+              ${this.formatNumber(metric.requests)} requests ·
+              ${this.formatPercent(metric.cacheHitRatio)} cached
+              ${metric.retries > 0 ? ` · ${metric.retries} retries` : ''}
+            </div>
+          </div>
+          <div class="list-item-action text-sm">
+            <div class="${metric.latency.p90 >= this.options.slowAt ? 'text-warning' : ''}">
+              p50 ${this.formatLatency(metric.latency.p50)} · p90 ${this.formatLatency(metric.latency.p90)}
+            </div>
+            <div class="${this.getErrorClass(metric.errorRate)}">
+              ${this.formatPercent(metric.errorRate)} errors
+            </div>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    getErrorClass(rate) {
+      if (rate >= this.options.showDangerAt) return 'text-error';
+      if (rate >= this.options.showWarningAt) return 'text-warning';
+      return 'text-muted';
+    }
+
+    formatPercent(ratio) {
+      return `${(ratio * 100).toFixed(ratio > 0 && ratio < 0.1 ? 1 : 0)}%`;
+    }
+
+    formatLatency(ms) {
+      if (ms === null) return '-';
+      return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+    }
+  }
+
   /**
    * Missions List Widget
    * Displays active missions with progress
@@ -677,6 +1076,10 @@ const Widgets = (() => {
       });
     }
 
+    getRequirements() {
+      return ['missions', ...super.getRequirements()];
+    }
+
     async render() {
       this.container.innerHTML = `
         <div class="missions-widget card">
@@ -700,30 +1103,39 @@ const Widgets = (() => {
       this.setLoading(true);
 
       try {
-        const params = {
-          start_status: 'active',
-          page_size: this.options.limit,
-        };
-
-        if (this.options.roomId) {
-          params.equals_field = 'room_id';
-          params.equals_value = this.options.roomId;
-        }
-
-        const response = await MyPrizeAPI.missions.list(params);
-        const missions = response.results || response.data || [];
-
-        this.renderMissions(missions);
+        const response = await this.callApi(() => this.api.missions.list(this.getParams()));
+        this.handlePollData(response);
         this.setError(null);
 
       } catch (error) {
-        console.error('[MissionsList] Refresh error:', error);
-        this.setError(error);
+        this.handleRefreshError(error);
       } finally {
         this.setLoading(false);
       }
     }
 
+    getParams() {
+      const params = {
+        start_status: 'active',
+        page_size: this.options.limit,
+      };
+
+      if (this.options.roomId) {
+        params.equals_field = 'room_id';
+        params.equals_value = this.options.roomId;
+      }
+
+      return params;
+    }
+
+    getPollSources() {
+      return [[this.api.missions.list, this.getParams()]];
+    }
+
+    handlePollData(response) {
+      this.renderMissions(MyPrizeModels.list(response, 'mission'));
+    }
+
     renderMissions(missions) {
       const listEl = this.container.querySelector('.missions-list');
       if (!listEl) return;
@@ -738,14 +1150,13 @@ const Widgets = (() => {
       }
 
       listEl.innerHTML = missions.map((mission, index) => {
-        const progress = mission.progress || 0;
-        const total = mission.total || 100;
-        const percentage = Math.min((progress / total) * 100, 100);
+        const { progress, total } = mission;
+        const percentage = total > 0 ? Math.min((progress / total) * 100, 100) : 0;
 
         return `
           <div class="mission-item list-item animate-fade-in-up" style="animation-delay: ${index * 50}ms">
             <div class="mission-icon list-item-icon">
-              ${mission.images?.icon ? `<img src="${mission.images.icon}" alt="">` : '🎯'}
+              ${mission.icon ? `<img src="${mission.icon}" alt="">` : '🎯'}
             </div>
             <div class="mission-content list-item-content">
               <div class="mission-name list-item-title">${mission.name}</div>
@@ -771,6 +1182,704 @@ const Widgets = (() => {
     }
   }
 
+  /**
+   * Jackpot Ticker Widget
+   * Pragmatic jackpot tiers with counters that keep climbing between polls
+   */
+  class JackpotTicker extends Widget {
+    constructor(container, options = {}) {
+      super(container, {
+        title: 'Jackpots',
+        currency: 'SC',
+        currencies: ['SC', 'GC'], // Offered by the currency selector
+        showSelector: true,
+        tiers: null, // Tier IDs to show, e.g. ['major', 'grand']; all when null
+        celebrationDuration: 10000, // How long a tier celebrates after it's hit, in ms
+        resetDrop: 0.1, // A drop of this share of the amount means someone hit the jackpot
+        ...options,
+        refreshInterval: options.refreshInterval || 15000,
+      });
+    }
+
+    // A restricted currency falls back to the first allowed one in options.currencies,
+    // so the ticker is only unavailable when none of them is allowed
+    mount() {
+      const { currency, currencies } = this.options;
+      const candidates = [currency, ...currencies.filter(code => code !== currency)];
+      const { signal } = this.abortController;
+
+      Promise.resolve()
+        .then(() => this.api.checkRequirements(candidates.map(code => `currency:${code}`)))
+        .then(({ missing }) => {
+          const allowed = candidates.find(code => !missing.includes(`currency:${code}`));
+          if (allowed) this.options.currency = allowed;
+        })
+        .catch(error => console.warn('[JackpotTicker] Currency check failed:', error))
+        .then(() => {
+          if (!signal.aborted) super.mount();
+        });
+    }
+
+    getRequirements() {
+      return ['jackpots', `currency:${this.options.currency}`, ...super.getRequirements()];
+    }
+
+    async render() {
+      const { currencies, showSelector } = this.options;
+
+      // Tier state: last polled amount, when it was polled, how fast it climbs and what's shown
+      this.tiers = new Map();
+      this.amountEls = new Map();
+
+      this.container.innerHTML = `
+        <div class="jackpot-widget card">
+          ${this.options.showHeader ? `
+            <div class="card-header">
+              <h3 class="card-title">${this.options.title}</h3>
+              ${showSelector && currencies.length > 1 ? `
+                <div class="jackpot-currencies tabs" role="tablist" aria-label="Jackpot currency">
+                  ${currencies.map(currency => `
+                    <button class="tab ${currency === this.options.currency ? 'active' : ''}"
+                            role="tab" data-currency="${currency}"
+                            aria-selected="${currency === this.options.currency}">
+                      ${currency}
+                    </button>
+                  `).join('')}
+                </div>
+              ` : ''}
+            </div>
+          ` : ''}
+          <div class="card-body">
+            <div class="jackpot-list" aria-live="polite"></div>
+          </div>
+        </div>
+      `;
+
+      this.container.querySelectorAll('.jackpot-currencies .tab').forEach(button => {
+        button.addEventListener('click', () => this.setCurrency(button.dataset.currency));
+      });
+      this.hideUnavailableCurrencies().catch(error => {
+        console.warn('[JackpotTicker] Currency check failed; keeping every tab:', error);
+      });
+
+      this.stopTicker();
+      await this.refresh();
+    }
+
+    async refresh() {
+      if (this.isLoading) return;
+
+      this.setLoading(true);
+
+      try {
+        const response = await this.callApi(() => this.api.pragmatic.getJackpots(this.options.currency));
+        this.applyJackpots(response);
+        this.setError(null);
+
+      } catch (error) {
+        this.handleRefreshError(error);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    // Tabs for currencies the audience can't use would only lead to the unavailable state
+    async hideUnavailableCurrencies() {
+      const tabs = this.container.querySelectorAll('.jackpot-currencies .tab');
+      if (tabs.length === 0) return;
+
+      const { missing } = await this.api.checkRequirements(
+        this.options.currencies.map(currency => `currency:${currency}`)
+      );
+      tabs.forEach(tab => {
+        if (missing.includes(`currency:${tab.dataset.currency}`)) tab.remove();
+      });
+    }
+
+    getPollSources() {
+      return [[this.api.pragmatic.getJackpots, [this.options.currency]]];
+    }
+
+    handlePollData(response) {
+      this.applyJackpots(response);
+    }
+
+    setCurrency(currency) {
+      if (currency === this.options.currency) return;
+      this.updateOptions({ currency });
+    }
+
+    applyJackpots(response) {
+      const jackpots = Array.isArray(response) ? response : response?.jackpots || response?.results || [];
+      const { tiers: only, resetDrop } = this.options;
+      const now = Date.now();
+
+      jackpots.forEach(jackpot => {
+        const id = String(jackpot.id ?? jackpot.name);
+        if (only && !only.includes(id)) return;
+
+        const amount = Number(jackpot.amount ?? jackpot.value ?? 0);
+        const tier = this.tiers.get(id);
+
+        if (!tier) {
+          this.tiers.set(id, {
+            id, name: jackpot.name || id, amount, polledAt: now, rate: 0, shown: amount, hitUntil: 0,
+          });
+          return;
+        }
+
+        if (amount === tier.amount) return;
+
+        if (amount < tier.amount * (1 - resetDrop)) {
+          this.celebrate(tier, tier.amount);
+          tier.shown = amount;
+          tier.rate = 0;
+        } else if (amount > tier.amount) {
+          // Climb at the rate seen between the last two polls
+          tier.rate = (amount - tier.amount) / Math.max(now - tier.polledAt, 1);
+        }
+
+        tier.amount = amount;
+        tier.polledAt = now;
+      });
+
+      this.renderTiers();
+      this.startTicker();
+    }
+
+    // Someone hit the jackpot: highlight the tier and tell the page
+    celebrate(tier, wonAmount) {
+      tier.hitUntil = Date.now() + this.options.celebrationDuration;
+      tier.wonAmount = wonAmount;
+
+      this.container.dispatchEvent(new CustomEvent('jackpothit', {
+        detail: { jackpot: { id: tier.id, name: tier.name, amount: wonAmount, currency: this.options.currency } },
+        bubbles: true,
+      }));
+    }
+
+    // Amount to show now: the last poll plus the climb since, never counting backwards
+    // and never running more than two intervals ahead of the API
+    getCurrentAmount(tier, now) {
+      const elapsed = Math.min(now - tier.polledAt, this.options.refreshInterval * 2);
+      tier.shown = Math.max(tier.shown, tier.amount + tier.rate * elapsed);
+      return tier.shown;
+    }
+
+    // Animate the counters; the loop stops by itself once nothing is climbing or celebrating
+    startTicker() {
+      if (this.frame) return;
+
+      const tick = () => {
+        this.frame = this.updateAmounts() ? requestAnimationFrame(tick) : null;
+      };
+      this.frame = requestAnimationFrame(tick);
+    }
+
+    stopTicker() {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    // Returns whether another frame is needed
+    updateAmounts() {
+      const now = Date.now();
+      const climbFor = this.options.refreshInterval * 2;
+      let celebrationEnded = false;
+      let active = false;
+
+      this.tiers.forEach(tier => {
+        if (tier.hitUntil && now >= tier.hitUntil) {
+          tier.hitUntil = 0;
+          celebrationEnded = true;
+        }
+
+        const el = this.amountEls.get(tier.id);
+        const text = this.formatAmount(this.getCurrentAmount(tier, now));
+        if (el && el.textContent !== text) el.textContent = text;
+
+        if (tier.hitUntil || (tier.rate > 0 && now - tier.polledAt < climbFor)) active = true;
+      });
+
+      if (celebrationEnded) this.renderTiers();
+      return active;
+    }
+
+    renderTiers() {
+      const listEl = this.container.querySelector('.jackpot-list');
+      if (!listEl) return;
+
+      this.amountEls = new Map();
+
+      if (this.tiers.size === 0) {
+        listEl.innerHTML = `
+          <div class="empty-state">
+            <p class="text-muted">No jackpots for ${this.options.currency}</p>
+          </div>
+        `;
+        return;
+      }
+
+      const now = Date.now();
+
+      listEl.innerHTML = Array.from(this.tiers.values()).map(tier => {
+        const isHit = tier.hitUntil > now;
+
+        return `
+          <div class="jackpot-tier list-item ${isHit ? 'jackpot-hit animate-pop-in' : ''}"
+               data-tier="${this.escapeHtml(tier.id)}">
+            <div class="list-item-content">
+              <div class="jackpot-name list-item-title">${this.escapeHtml(tier.name)}</div>
+              ${isHit ? `
+                <div class="jackpot-won text-sm">Hit for ${this.formatAmount(tier.wonAmount)}!</div>
+              ` : ''}
+            </div>
+            <div class="jackpot-amount list-item-action">${this.formatAmount(this.getCurrentAmount(tier, now))}</div>
+          </div>
+        `;
+      }).join('');
+
+      // Looked up once here rather than on every frame
+      listEl.querySelectorAll('.jackpot-tier').forEach(el => {
+        this.amountEls.set(el.dataset.tier, el.querySelector('.jackpot-amount'));
+      });
+    }
+
+    // Keeps showing the last amounts once there are some
+    renderError() {
+      const listEl = this.container.querySelector('.jackpot-list');
+      if (listEl && this.tiers.size === 0) {
+        listEl.innerHTML = `
+          <div class="error-state">
+            <p class="text-error">Failed to load jackpots</p>
+            <button class="btn btn-sm btn-secondary jackpot-retry">Retry</button>
+          </div>
+        `;
+        listEl.querySelector('.jackpot-retry').addEventListener('click', () => this.refresh());
+      }
+    }
+
+    formatAmount(amount) {
+      return `${this.options.currency} ${JACKPOT_AMOUNT_FORMAT.format(amount)}`;
+    }
+
+    renderUnavailable(result) {
+      this.stopTicker();
+      super.renderUnavailable(result);
+    }
+
+    destroy() {
+      this.stopTicker();
+      super.destroy();
+    }
+  }
+
+  /**
+   * Livestreams Widget
+   * Directory of rooms streaming right now; clicking one fires a roomselect event
+   */
+  class Livestreams extends Widget {
+    constructor(container, options = {}) {
+      super(container, {
+        title: 'Live Now',
+        layout: 'grid', // 'grid' or 'list'
+        sort: 'viewers', // 'viewers', 'newest' or 'title'
+        liveOnly: true,
+        limit: 12,
+        showControls: true,
+        ...options,
+        refreshInterval: options.refreshInterval || 60000,
+      });
+    }
+
+    getRequirements() {
+      return ['livestreams', ...super.getRequirements()];
+    }
+
+    async render() {
+      const { sort, liveOnly, layout } = this.options;
+
+      this.streams = [];
+
+      this.container.innerHTML = `
+        <div class="livestreams-widget card">
+          ${this.options.showHeader ? `
+            <div class="card-header">
+              <h3 class="card-title">
+                <span class="status-dot live"></span>
+                ${this.options.title}
+              </h3>
+              ${this.options.showControls ? `
+                <div class="livestreams-controls">
+                  <select class="input livestreams-sort" aria-label="Sort streams">
+                    ${Object.entries(LIVESTREAM_SORTS).map(([value, { label }]) => `
+                      <option value="${value}" ${value === sort ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                  </select>
+                  <label class="livestreams-live-only text-sm">
+                    <input type="checkbox" ${liveOnly ? 'checked' : ''}>
+                    Live only
+                  </label>
+                </div>
+              ` : ''}
+            </div>
+          ` : ''}
+          <div class="card-body">
+            <div class="livestreams-items livestreams-${layout === 'list' ? 'list' : 'grid'}"></div>
+          </div>
+        </div>
+      `;
+
+      // Sorting and filtering re-render what's loaded; there's nothing new to fetch
+      this.container.querySelector('.livestreams-sort')?.addEventListener('change', e => {
+        this.options.sort = e.target.value;
+        this.renderStreams();
+      });
+      this.container.querySelector('.livestreams-live-only input')?.addEventListener('change', e => {
+        this.options.liveOnly = e.target.checked;
+        this.renderStreams();
+      });
+
+      this.container.querySelector('.livestreams-items').addEventListener('click', e => {
+        const card = e.target.closest('.livestream-card');
+        if (card) this.selectStream(this.visibleStreams[Number(card.dataset.index)]);
+      });
+
+      await this.refresh();
+    }
+
+    async refresh() {
+      if (this.isLoading) return;
+
+      this.setLoading(true);
+
+      try {
+        const response = await this.callApi(() => this.api.content.getLivestreams(this.getParams()));
+        this.handlePollData(response);
+        this.setError(null);
+
+      } catch (error) {
+        this.handleRefreshError(error);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    getParams() {
+      return { page_size: 50 };
+    }
+
+    getPollSources() {
+      return [[this.api.content.getLivestreams, this.getParams()]];
+    }
+
+    handlePollData(response) {
+      this.streams = MyPrizeModels.list(response, 'livestream');
+      this.renderStreams();
+    }
+
+    // Let the page switch to the stream's room, e.g. with RoomSelector.selectRoomBySlug() or selectRoomById()
+    selectStream(stream) {
+      if (!stream) return;
+
+      this.container.dispatchEvent(new CustomEvent('roomselect', {
+        detail: {
+          room: { id: stream.roomId, slug: stream.roomSlug },
+          livestream: stream,
+        },
+        bubbles: true,
+      }));
+    }
+
+    renderStreams() {
+      const listEl = this.container.querySelector('.livestreams-items');
+      if (!listEl) return;
+
+      const { sort, liveOnly, limit } = this.options;
+      const compare = (LIVESTREAM_SORTS[sort] || LIVESTREAM_SORTS.viewers).compare;
+
+      this.visibleStreams = this.streams
+        .filter(stream => !liveOnly || stream.isLive)
+        .sort(compare)
+        .slice(0, limit);
+
+      if (this.visibleStreams.length === 0) {
+        listEl.innerHTML = `
+          <div class="empty-state">
+            <p class="text-muted">${liveOnly ? 'Nobody is live right now' : 'No streams found'}</p>
+          </div>
+        `;
+        return;
+      }
+
+      listEl.innerHTML = this.visibleStreams.map((stream, index) => {
+        const title = this.escapeHtml(stream.title);
+        const creator = this.escapeHtml(stream.creatorUsername || '');
+
+        return `
+          <button type="button" class="livestream-card animate-fade-in-up" data-index="${index}"
+                  style="animation-delay: ${index * 50}ms"
+                  aria-label="${title}${creator ? ` by ${creator}` : ''}, ${stream.viewerCount} viewers">
+            <div class="livestream-thumb">
+              ${stream.thumbnail
+                ? `<img src="${this.escapeHtml(stream.thumbnail)}" alt="" loading="lazy">`
+                : `<span class="livestream-placeholder" aria-hidden="true">&#127909;</span>`}
+              ${stream.isLive ? '<span class="livestream-live badge badge-error">LIVE</span>' : ''}
+              <span class="livestream-viewers">&#128065; ${this.formatNumber(stream.viewerCount)}</span>
+            </div>
+            <div class="livestream-info">
+              <span class="livestream-title">${title}</span>
+              ${creator ? `
+                <span class="livestream-creator text-sm text-muted">
+                  ${creator}
+                  ${stream.isCreatorVerified ? `
+                    <span class="livestream-verified" title="Verified creator" aria-label="Verified creator">&#10004;</span>
+                  ` : ''}
+                </span>
+              ` : ''}
+            </div>
+          </button>
+        `;
+      }).join('');
+    }
+
+    // Keeps showing the last streams once there are some
+    renderError() {
+      const listEl = this.container.querySelector('.livestreams-items');
+      if (listEl && this.streams.length === 0) {
+        listEl.innerHTML = `
+          <div class="error-state">
+            <p class="text-error">Failed to load livestreams</p>
+            <button class="btn btn-sm btn-secondary livestreams-retry">Retry</button>
+          </div>
+        `;
+        listEl.querySelector('.livestreams-retry').addEventListener('click', e => {
+          e.stopPropagation();
+          this.refresh();
+        });
+      }
+    }
+  }
+
+  /**
+   * Banner Rotator Widget
+   * Cycles platform promo banners, picking the mobile or desktop image to fit
+   */
+  class BannerRotator extends Widget {
+    constructor(container, options = {}) {
+      super(container, {
+        dwell: 8000, // How long each banner shows, in ms
+        transition: 'fade', // 'fade', 'slide' or 'none'
+        transitionDuration: 600,
+        allow: null, // Banner IDs or titles to show; every banner when null
+        deny: [], // Banner IDs or titles never to show
+        image: 'auto', // 'auto' (by viewport width), 'desktop' or 'mobile'
+        mobileBreakpoint: 640, // Widest viewport, in px, that gets mobile images
+        pauseOnHover: true,
+        showIndicators: true,
+        openLinks: true, // Clicking a banner opens its http(s) link in a new tab
+        ...options,
+        refreshInterval: options.refreshInterval || 300000,
+      });
+    }
+
+    getRequirements() {
+      return ['banners', ...super.getRequirements()];
+    }
+
+    async render() {
+      const { transition, transitionDuration } = this.options;
+
+      this.banners = [];
+      this.current = 0;
+      this.paused = false;
+      clearTimeout(this.rotateTimer);
+
+      this.container.innerHTML = `
+        <div class="banner-rotator" data-transition="${transition}"
+             style="--banner-transition: ${transitionDuration}ms"
+             role="region" aria-roledescription="carousel" aria-label="Promotions">
+          <div class="banner-slides" aria-live="polite"></div>
+          <div class="banner-indicators"></div>
+        </div>
+      `;
+
+      const rotator = this.container.querySelector('.banner-rotator');
+      if (this.options.pauseOnHover) {
+        rotator.addEventListener('mouseenter', () => this.pause());
+        rotator.addEventListener('mouseleave', () => this.resume());
+        rotator.addEventListener('focusin', () => this.pause());
+        rotator.addEventListener('focusout', () => this.resume());
+      }
+
+      await this.refresh();
+    }
+
+    async refresh() {
+      if (this.isLoading) return;
+
+      this.setLoading(true);
+
+      try {
+        const response = await this.callApi(() => this.api.content.getBanners());
+        this.handlePollData(response);
+        this.setError(null);
+
+      } catch (error) {
+        this.handleRefreshError(error);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    getPollSources() {
+      return [[this.api.content.getBanners, {}]];
+    }
+
+    handlePollData(response) {
+      const showing = this.banners[this.current]?.id;
+
+      this.banners = MyPrizeModels.list(response, 'banner').filter(banner => this.isAllowed(banner));
+
+      // Stay on the banner that was showing if it's still there
+      this.current = Math.max(0, this.banners.findIndex(banner => banner.id === showing));
+      this.renderBanners();
+      this.scheduleNext();
+    }
+
+    // Allow and deny lists match a banner's ID or title, ignoring case
+    isAllowed(banner) {
+      const matches = list => list.some(entry => {
+        const value = String(entry).toLowerCase();
+        return value === String(banner.id).toLowerCase() || value === banner.title.toLowerCase();
+      });
+
+      const { allow, deny } = this.options;
+      if (allow && !matches(allow)) return false;
+      return !matches(deny || []);
+    }
+
+    renderBanners() {
+      const slidesEl = this.container.querySelector('.banner-slides');
+      const indicatorsEl = this.container.querySelector('.banner-indicators');
+      if (!slidesEl) return;
+
+      // Nothing to promote: keep the overlay clear
+      this.container.querySelector('.banner-rotator').hidden = this.banners.length === 0;
+
+      slidesEl.innerHTML = this.banners.map((banner, index) => {
+        const title = this.escapeHtml(banner.title);
+        const content = this.renderImage(banner) || `<span class="banner-title">${title}</span>`;
+        const link = this.options.openLinks ? this.getLinkUrl(banner.link) : null;
+
+        return `
+          <div class="banner-slide ${index === this.current ? 'active' : ''}"
+               role="group" aria-roledescription="slide" aria-label="${index + 1} of ${this.banners.length}"
+               ${index === this.current ? '' : 'aria-hidden="true"'}>
+            ${link
+              ? `<a class="banner-link" href="${this.escapeHtml(link)}" target="_blank" rel="noopener">${content}</a>`
+              : content}
+          </div>
+        `;
+      }).join('');
+
+      if (!indicatorsEl) return;
+
+      indicatorsEl.innerHTML = this.options.showIndicators && this.banners.length > 1
+        ? this.banners.map((banner, index) => `
+            <button class="banner-indicator ${index === this.current ? 'active' : ''}"
+                    data-index="${index}" aria-label="Show ${this.escapeHtml(banner.title)}"></button>
+          `).join('')
+        : '';
+
+      indicatorsEl.querySelectorAll('.banner-indicator').forEach(button => {
+        button.addEventListener('click', () => this.show(Number(button.dataset.index)));
+      });
+    }
+
+    // Only web links become anchors; javascript:, data: and the like are dropped
+    getLinkUrl(link) {
+      if (!link) return null;
+      try {
+        const url = new URL(link, window.location.href);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // <picture> lets the browser switch images as the viewport crosses the breakpoint
+    renderImage(banner) {
+      const { image, mobileBreakpoint } = this.options;
+      const { desktopImage, mobileImage } = banner;
+      const alt = this.escapeHtml(banner.title);
+
+      if (image === 'mobile' || (image === 'auto' && !desktopImage)) {
+        const src = mobileImage || desktopImage;
+        return src ? `<img class="banner-image" src="${this.escapeHtml(src)}" alt="${alt}">` : '';
+      }
+
+      if (image === 'desktop' || !mobileImage) {
+        const src = desktopImage || mobileImage;
+        return src ? `<img class="banner-image" src="${this.escapeHtml(src)}" alt="${alt}">` : '';
+      }
+
+      return `
+        <picture>
+          <source media="(max-width: ${mobileBreakpoint}px)" srcset="${this.escapeHtml(mobileImage)}">
+          <img class="banner-image" src="${this.escapeHtml(desktopImage)}" alt="${alt}">
+        </picture>
+      `;
+    }
+
+    show(index) {
+      if (this.banners.length === 0) return;
+
+      const previous = this.current;
+      this.current = (index + this.banners.length) % this.banners.length;
+
+      this.container.querySelectorAll('.banner-slide').forEach((slide, i) => {
+        slide.classList.toggle('active', i === this.current);
+        slide.classList.toggle('leaving', i === previous && i !== this.current);
+        slide.toggleAttribute('aria-hidden', i !== this.current);
+      });
+      this.container.querySelectorAll('.banner-indicator').forEach((button, i) => {
+        button.classList.toggle('active', i === this.current);
+      });
+
+      this.scheduleNext();
+    }
+
+    scheduleNext() {
+      clearTimeout(this.rotateTimer);
+      this.rotateTimer = null;
+      if (this.paused || this.banners.length < 2) return;
+
+      this.rotateTimer = setTimeout(() => this.show(this.current + 1), this.options.dwell);
+    }
+
+    pause() {
+      this.paused = true;
+      clearTimeout(this.rotateTimer);
+      this.rotateTimer = null;
+    }
+
+    resume() {
+      this.paused = false;
+      this.scheduleNext();
+    }
+
+    renderUnavailable(result) {
+      clearTimeout(this.rotateTimer);
+      super.renderUnavailable(result);
+    }
+
+    destroy() {
+      clearTimeout(this.rotateTimer);
+      super.destroy();
+    }
+  }
+
   // Widget factory
   function create(type, container, options) {
     const widgetClasses = {
@@ -782,8 +1891,15 @@ const Widgets = (() => {
       'momentum-meter': MomentumMeter,
       'rate-limit': RateLimitMonitor,
       ratelimit: RateLimitMonitor,
+      'api-health': ApiHealthMonitor,
+      apihealth: ApiHealthMonitor,
       missions: MissionsList,
       'missions-list': MissionsList,
+      jackpots: JackpotTicker,
+      'jackpot-ticker': JackpotTicker,
+      livestreams: Livestreams,
+      banners: BannerRotator,
+      'banner-rotator': BannerRotator,
     };
 
     const WidgetClass = widgetClasses[type.toLowerCase()];
@@ -816,13 +1932,20 @@ const Widgets = (() => {
     getAll,
     destroyAll,
 
+    // Shared lifecycle for components outside this file
+    useLifecycle,
+
     // Widget classes for direct instantiation
     Widget,
     StatCard,
     BigWins,
     MomentumMeter,
     RateLimitMonitor,
+    ApiHealthMonitor,
     MissionsList,
+    JackpotTicker,
+    Livestreams,
+    BannerRotator,
   };
 })();
 
@@ -0,0 +1,28 @@
+/**
+ * MyPrize Streamer Toolkit - Node entry point
+ * Loads the API client and its helpers outside the browser:
+ *
+ *   const { MyPrizeAPI } = require('./src');
+ *   const api = MyPrizeAPI.createClient({ normalize: true });
+ *   const rooms = await api.rooms.list();
+ *
+ * Node 18+ has a global fetch; on older versions pass one as the transport:
+ *   MyPrizeAPI.createClient({ transport: require('node-fetch') })
+ */
+
+'use strict';
+
+const MyPrizeModels = require('./utils/models');
+const MyPrizeAPI = require('./utils/api-client');
+const MockTransport = require('./utils/mock-transport');
+const APIVerifier = require('./utils/api-verifier');
+const SessionRecorder = require('./utils/session-recorder');
+
+module.exports = {
+  MyPrizeAPI,
+  MyPrizeModels,
+  MockTransport,
+  APIVerifier,
+  SessionRecorder,
+  createClient: MyPrizeAPI.createClient,
+};
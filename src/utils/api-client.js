@@ -6,407 +6,2751 @@
 const MyPrizeAPI = (() => {
   'use strict';
 
-  // Configuration
-  const config = {
-    baseUrl: 'https://myprize.us/api',
-    timeout: 10000,
-    retries: 3,
-    retryDelay: 1000,
-    cacheEnabled: true,
-    cacheDuration: 30000, // 30 seconds default
-    rateLimitPerFiveMinutes: 5000,
-  };
-
-  // Request cache
-  const cache = new Map();
-
-  // Rate limit tracking
-  const rateLimitState = {
-    requests: [],
-    windowStart: Date.now(),
-    remaining: config.rateLimitPerFiveMinutes,
-  };
-
-  // Event emitters for state changes
-  const listeners = {
-    rateLimit: new Set(),
-    error: new Set(),
-    request: new Set(),
-  };
-
   /**
-   * Make an API request
-   * @param {string} endpoint - API endpoint
-   * @param {Object} options - Request options
-   * @returns {Promise<any>} Response data
+   * Create an API client with its own config, caches, rate limit, circuit
+   * breaker, pollers, interceptors and listeners. The global MyPrizeAPI is
+   * the default client.
+   * @param {Object} [overrides] - Config overrides on top of the defaults
+   * @returns {Object} Client with the same methods and namespaced endpoints as MyPrizeAPI
    */
-  async function request(endpoint, options = {}) {
-    const {
-      method = 'GET',
-      params = {},
-      headers = {},
-      cache: useCache = config.cacheEnabled,
-      cacheDuration = config.cacheDuration,
-      timeout = config.timeout,
-      retries = config.retries,
-    } = options;
-
-    // Build URL with query params
-    const url = buildUrl(endpoint, params);
-    const cacheKey = `${method}:${url}`;
-
-    // Check cache first
-    if (useCache && method === 'GET') {
-      const cached = getFromCache(cacheKey);
-      if (cached) {
-        emitEvent('request', { url, method, cached: true });
-        return cached;
-      }
-    }
-
-    // Check rate limit
-    if (!checkRateLimit()) {
-      const error = new Error('Rate limit exceeded. Please wait before making more requests.');
-      error.code = 'RATE_LIMIT_EXCEEDED';
-      error.retryAfter = getTimeUntilRateLimitReset();
-      emitEvent('rateLimit', { remaining: 0, retryAfter: error.retryAfter });
-      throw error;
-    }
+  function createClient(overrides = {}) {
+    // Configuration
+    const config = {
+      baseUrl: 'https://myprize.us/api',
+      timeout: 10000,
+      retries: 3,
+      retryDelay: 1000,
+      cacheEnabled: true,
+      cacheDuration: 30000, // 30 seconds default
+      cacheMaxEntries: 500, // Least recently used entries are evicted beyond this (0 = no limit)
+      cacheMaxBytes: 0, // Evict beyond this much cached JSON as well (0 = no limit)
+      rateLimitPerFiveMinutes: 5000,
+      coalesceRequests: true, // Share identical in-flight GET requests
+      transport: 'fetch', // 'fetch', 'mock', or a fetch-compatible function
+      persistentCache: false, // true, or a store with get/set/remove/clear
+      staleAge: 300000, // Serve persisted data this long past max-age while revalidating
+      cachePolicies: {}, // Per-endpoint { maxAge, staleAge }, keyed by path prefix
+      normalize: false, // Return MyPrizeModels objects from endpoint methods
+      schemaDrift: false, // true, or a 0-1 share of responses to check against APIVerifier schemas
+      consumerBudgets: {}, // Per-consumer requests per window; values below 1 are shares of the limit
+      lowPriorityReserve: 0.2, // Share of the window low-priority requests leave for everyone else
+      circuitFailureThreshold: 5, // Consecutive failed requests that open the circuit (0 disables)
+      circuitResetTimeout: 30000, // How long the circuit stays open before a probe
+      conditionalRequests: true, // Revalidate cached GETs with If-None-Match / If-Modified-Since
+      metricsInterval: 60000, // How often 'metrics' listeners get a snapshot (0 disables)
+      streamUrl: null, // SSE (http/https) or WebSocket (ws/wss) endpoint for subscribe(); polls when unset
+      streamTransport: 'auto', // 'auto' (EventSource / WebSocket by URL) or a function(url) returning either
+      streamRetryDelay: 5000, // First reconnect delay after a stream drops; doubles up to a minute
+      allowUrlOverrides: false, // Let the page URL set baseUrl (?api=) and streamUrl (?stream=)
+      watchStorage: true, // Keep watch() snapshots across reloads: true (persistent cache or localStorage), false, or a store with get/set
+      ...overrides,
+    };
+
+    // Request cache: { data, expires, tags, size } per key, least recently used first
+    const cache = new Map();
+    const cacheStats = { bytes: 0, hits: 0, misses: 0, evictions: 0 };
+
+    // When each tag was last invalidated, so older persisted entries and
+    // responses already in flight aren't cached under it. Kept in the
+    // persistent store as well, so a reload doesn't serve what was invalidated.
+    const tagInvalidations = new Map();
+    const INVALIDATIONS_KEY = 'tag-invalidations';
+    const MAX_PERSISTED_INVALIDATIONS = 500;
+    const loadedInvalidations = new WeakMap();
+
+    // In-flight GET requests, keyed like the cache
+    const inFlight = new Map();
+
+    // ETag / Last-Modified validators per cache key, with the response body
+    // they describe and the result it resolved to, for answering 304s
+    const validators = new Map();
+
+    // Normalized models per raw response and model type, so unchanged
+    // responses keep resolving to the same objects
+    const normalizedResults = new WeakMap();
+
+    // Consumer and priority applied to requests made inside withRequestContext()
+    let requestContext = null;
+    const PRIORITIES = { low: 0, normal: 1, high: 2 };
+
+    // Interceptors registered with use(), in registration order
+    const interceptors = [];
+
+    // Shared pollers, one per distinct endpoint + arguments
+    const pollers = new Map();
+
+    // Live subscribe() subscriptions, for getSubscriptionStatus()
+    const subscriptions = new Set();
+    const MAX_SEEN_ITEMS = 1000;
+    const endpointIds = new WeakMap();
+    let nextEndpointId = 1;
+
+    // Pending or settled getCapabilities() answer, shared until the API changes
+    let capabilities = null;
+
+    // Rate limit tracking; requests are { timestamp, consumer }
+    const rateLimitState = {
+      requests: [],
+      windowStart: Date.now(),
+      remaining: config.rateLimitPerFiveMinutes,
+    };
 
-    // Track request
-    trackRequest();
+    // Circuit breaker: 'closed' (normal), 'open' (failing fast) or 'half-open' (probing)
+    const circuit = {
+      state: 'closed',
+      failures: 0,
+      retryAt: 0,
+      probeTimer: null,
+    };
+    let connectionState = 'online';
+
+    // Per-endpoint request metrics, keyed by endpoint method name
+    const metrics = new Map();
+    let metricsSince = Date.now();
+    let metricsTimer = null;
+    const MAX_LATENCY_SAMPLES = 500;
+
+    // Event emitters for state changes
+    const listeners = {
+      rateLimit: new Set(),
+      error: new Set(),
+      request: new Set(),
+      revalidate: new Set(),
+      schemaDrift: new Set(),
+      connection: new Set(),
+      metrics: new Set(),
+    };
 
-    // Make request with retries
-    let lastError;
-    for (let attempt = 1; attempt <= retries; attempt++) {
+    // Schema drift detection: first-seen shape and last reported drift per endpoint
+    const driftBaselines = new Map();
+    const driftSignatures = new Map();
+    const driftLog = [];
+    const MAX_DRIFT_LOG = 200;
+
+    /**
+     * Make an API request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @param {string} [options.name] - Endpoint method name, e.g. 'rooms.get'
+     * @param {string} [options.consumer='default'] - Who the request is for, for rate limit budgets
+     * @param {string} [options.priority='normal'] - 'high', 'normal' or 'low'
+     * @param {AbortSignal} [options.signal] - Cancels the request and its retry waits (rejects with ABORTED)
+     * @param {string} [options.model] - Model type to normalize to when config.normalize is on
+     * @param {string[]} [options.tags] - Cache tags for invalidate(), e.g. ['room:123']
+     * @param {Function} [options.responseTags] - Extra cache tags read from the response: data => string[]
+     * @returns {Promise<any>} Response data
+     */
+    async function request(endpoint, options = {}) {
+      const metric = getMetric(options.name || endpoint.split('?')[0]);
+      let data;
       try {
-        emitEvent('request', { url, method, attempt, cached: false });
+        data = await fetchData(endpoint, { ...requestContext, ...options });
+        metric.requests++;
+      } catch (error) {
+        // Cancelled requests are neither successes nor failures
+        if (error.code !== 'ABORTED') {
+          metric.requests++;
+          metric.errors++;
+        }
+        throw error;
+      }
+
+      if (options.model && config.normalize) {
+        return normalizeResult(data, options.model);
+      }
+      return data;
+    }
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
+    /**
+     * Normalize a response, reusing the models built for the same response object
+     * @param {Object|Array} data - Raw response
+     * @param {string} model - Model type
+     * @returns {Object|Array} Models
+     */
+    function normalizeResult(data, model) {
+      if (!data || typeof data !== 'object') return resolveModels().normalize(data, model);
 
-        const response = await fetch(url, {
-          method,
-          headers: {
-            'Content-Type': 'application/json',
-            ...headers,
-          },
-          signal: controller.signal,
-        });
+      let byModel = normalizedResults.get(data);
+      if (!byModel) {
+        byModel = new Map();
+        normalizedResults.set(data, byModel);
+      }
+      if (!byModel.has(model)) byModel.set(model, resolveModels().normalize(data, model));
+      return byModel.get(model);
+    }
+
+    /**
+     * Resolve a request from the caches or the network
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {Promise<any>} Raw response data
+     */
+    async function fetchData(endpoint, options) {
+      const {
+        method = 'GET',
+        params = {},
+        headers = {},
+        cache: useCache = config.cacheEnabled,
+        cacheDuration,
+        timeout = config.timeout,
+        retries = config.retries,
+        name = null,
+        consumer = 'default',
+        priority = 'normal',
+        signal = null,
+        tags = [],
+        responseTags = null,
+      } = options;
+
+      throwIfAborted(signal);
 
-        clearTimeout(timeoutId);
+      // Build URL with query params
+      const url = buildUrl(endpoint, params);
+      const cacheKey = `${method}:${url}`;
+      const { maxAge, staleAge } = getCachePolicy(endpoint, cacheDuration);
 
-        // Handle rate limit headers
-        const remaining = response.headers.get('X-RateLimit-Remaining');
-        if (remaining !== null) {
-          rateLimitState.remaining = parseInt(remaining, 10);
-          emitEvent('rateLimit', { remaining: rateLimitState.remaining });
+      const requestOptions = {
+        name, consumer, priority, signal, method, headers, useCache, cacheDuration: maxAge, timeout, retries,
+        metric: name || endpoint.split('?')[0],
+        tags: getCacheTags(name, tags),
+        responseTags,
+      };
+
+      // Check cache first
+      if (useCache && method === 'GET') {
+        const cached = getFromCache(cacheKey);
+        if (cached) {
+          getMetric(requestOptions.metric).cacheHits++;
+          emitEvent('request', { url, method, cached: true });
+          return cached;
         }
 
-        // Handle errors
-        if (!response.ok) {
-          const error = await parseError(response);
+        // Then the persistent tier, which survives page reloads
+        const stored = await readPersistentCache(cacheKey);
+        const storedTags = stored ? getEntryTags(requestOptions, stored.data) : [];
+        if (stored && isInvalidated(storedTags, stored.storedAt)) {
+          getPersistentStore()?.remove(cacheKey).catch(() => {});
+        } else if (stored) {
+          const age = Date.now() - stored.storedAt;
 
-          // Retry on 429 (rate limit) or 5xx errors
-          if ((response.status === 429 || response.status >= 500) && attempt < retries) {
-            const delay = response.status === 429
-              ? (parseInt(response.headers.get('Retry-After') || '5', 10) * 1000)
-              : config.retryDelay * attempt;
-            await sleep(delay);
-            continue;
+          if (age < maxAge) {
+            getMetric(requestOptions.metric).cacheHits++;
+            setCache(cacheKey, stored.data, maxAge - age, storedTags);
+            emitEvent('request', { url, method, cached: true, persistent: true });
+            return stored.data;
           }
 
-          throw error;
+          // Stale but usable: answer now, refresh in the background
+          if (age < maxAge + staleAge) {
+            getMetric(requestOptions.metric).cacheHits++;
+            emitEvent('request', { url, method, cached: true, persistent: true, stale: true });
+            revalidate(url, cacheKey, requestOptions, stored.data);
+            return stored.data;
+          }
         }
+      }
 
-        const data = await response.json();
+      return fetchFromNetwork(url, cacheKey, requestOptions);
+    }
+
+    /**
+     * Fetch from the network, joining an identical GET already in flight
+     * @param {string} url - Full request URL
+     * @param {string} cacheKey - Cache key for the request
+     * @param {Object} requestOptions - Resolved request options
+     * @returns {Promise<any>} Response data
+     */
+    function fetchFromNetwork(url, cacheKey, requestOptions) {
+      const { method, signal } = requestOptions;
 
-        // Cache successful GET responses
-        if (useCache && method === 'GET') {
-          setCache(cacheKey, data, cacheDuration);
+      // Join an identical GET that is already on the wire
+      if (method === 'GET' && config.coalesceRequests) {
+        let shared = inFlight.get(cacheKey);
+        if (shared) {
+          getMetric(requestOptions.metric).coalesced++;
+          emitEvent('request', { url, method, cached: false, coalesced: true });
+        } else {
+          // The shared fetch has its own controller: it is only cancelled
+          // once every caller waiting on it has aborted
+          const controller = new AbortController();
+          shared = { controller, waiting: 0, promise: null, tags: requestOptions.tags };
+          shared.promise = performRequest(url, cacheKey, { ...requestOptions, signal: controller.signal })
+            .finally(() => {
+              if (inFlight.get(cacheKey) === shared) inFlight.delete(cacheKey);
+            });
+          inFlight.set(cacheKey, shared);
         }
+        return joinSharedRequest(shared, cacheKey, signal);
+      }
 
-        return data;
+      return performRequest(url, cacheKey, requestOptions);
+    }
 
-      } catch (err) {
-        lastError = err;
+    /**
+     * Wait on a shared in-flight request, leaving it when the caller aborts
+     * @param {Object} shared - In-flight entry: { controller, waiting, promise, tags }
+     * @param {string} cacheKey - Cache key of the entry
+     * @param {AbortSignal|null} signal - Caller's signal
+     * @returns {Promise<any>} Response data
+     */
+    function joinSharedRequest(shared, cacheKey, signal) {
+      shared.waiting++;
+      if (!signal) return shared.promise;
 
-        // Don't retry on abort or non-retryable errors
-        if (err.name === 'AbortError') {
-          lastError = new Error('Request timed out');
-          lastError.code = 'TIMEOUT';
-          break;
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          reject(createAbortError());
+          if (--shared.waiting === 0) {
+            // Nobody wants the response any more; later callers start afresh
+            if (inFlight.get(cacheKey) === shared) inFlight.delete(cacheKey);
+            shared.controller.abort();
+          }
+        };
+
+        // Aborted while the caches were checked: the abort event has already fired
+        if (signal.aborted) {
+          shared.promise.catch(() => {}); // Settled for whoever else is waiting
+          onAbort();
+          return;
         }
 
-        if (attempt < retries && isRetryableError(err)) {
-          await sleep(config.retryDelay * attempt);
-          continue;
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise.then(resolve, reject).finally(() => {
+          signal.removeEventListener('abort', onAbort);
+        });
+      });
+    }
+
+    /**
+     * Run a request through the interceptors and the network, caching the result
+     * @param {string} url - Full request URL
+     * @param {string} cacheKey - Cache key for the request
+     * @param {Object} options - Resolved request options
+     * @returns {Promise<any>} Response data
+     */
+    async function performRequest(url, cacheKey, options) {
+      const { method, useCache, cacheDuration } = options;
+      const startedAt = Date.now();
+      const validator = useCache && method === 'GET' && config.conditionalRequests
+        ? validators.get(cacheKey)
+        : null;
+      let req = { url, method, headers: { ...options.headers, ...getConditionalHeaders(validator) } };
+      let data;
+
+      try {
+        req = await runRequestInterceptors(req);
+        if ('response' in req) {
+          data = await runResponseInterceptors(req.response, { ...req, duration: Date.now() - startedAt });
+        } else {
+          let result = await sendRequest(req, options);
+
+          // A 304 with nothing to answer from (the validator came from an interceptor or
+          // the browser): ask once more without conditional headers
+          if (result.notModified && !validator) {
+            result = await sendRequest({ ...req, headers: removeConditionalHeaders(req.headers) }, options);
+            if (result.notModified) {
+              const error = new Error('Received 304 Not Modified with no cached response');
+              error.code = 'INVALID_RESPONSE';
+              error.status = 304;
+              throw error;
+            }
+          }
+
+          if (result.notModified) {
+            // Unchanged: resolve to the very same result as last time
+            getMetric(options.metric).notModified++;
+            emitEvent('request', { url, method, cached: false, notModified: true });
+            data = validator.result;
+          } else {
+            sampleSchemaDrift(options.name, req.url, result.data);
+            data = await runResponseInterceptors(result.data, { ...req, duration: Date.now() - startedAt });
+            storeValidator(cacheKey, result, data, isCacheable(options, startedAt));
+          }
         }
+      } catch (error) {
+        // Recovered data is returned but never cached
+        return runErrorInterceptors(error, { ...req, duration: Date.now() - startedAt });
+      }
 
-        break;
+      // Cache successful GET responses
+      if (isCacheable(options, startedAt)) {
+        setCache(cacheKey, data, cacheDuration, getEntryTags(options, data));
+        writePersistentCache(cacheKey, data);
       }
+
+      return data;
     }
 
-    emitEvent('error', { url, method, error: lastError });
-    throw lastError;
-  }
+    /**
+     * Cache tags for a response: the request's tags plus any that come from the data,
+     * such as the id of a room looked up by its slug
+     * @param {Object} options - Resolved request options
+     * @param {any} data - Response data
+     * @returns {string[]} Namespaced tags
+     */
+    function getEntryTags(options, data) {
+      if (!options.responseTags || data == null) return options.tags;
+      return [...options.tags, ...(options.responseTags(data) || [])];
+    }
 
-  /**
-   * Build URL with query parameters
-   * @param {string} endpoint - API endpoint
-   * @param {Object} params - Query parameters
-   * @returns {string} Full URL
-   */
-  function buildUrl(endpoint, params) {
-    const path = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
-    const url = new URL(config.baseUrl + path);
+    /**
+     * Conditional request headers for a stored validator
+     * @param {Object|null} validator - { etag, lastModified }
+     * @returns {Object} Headers
+     */
+    function getConditionalHeaders(validator) {
+      const headers = {};
+      if (validator?.etag) headers['If-None-Match'] = validator.etag;
+      if (validator?.lastModified) headers['If-Modified-Since'] = validator.lastModified;
+      return headers;
+    }
+
+    /**
+     * Copy of request headers without If-None-Match / If-Modified-Since
+     * @param {Object} headers - Request headers
+     * @returns {Object} Headers
+     */
+    function removeConditionalHeaders(headers) {
+      return Object.fromEntries(Object.entries(headers)
+        .filter(([name]) => !['if-none-match', 'if-modified-since'].includes(name.toLowerCase())));
+    }
 
-    Object.entries(params).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) {
-        url.searchParams.append(key, String(value));
+    /**
+     * Remember a response's validators for the next request to the same URL
+     * @param {string} cacheKey - Cache key
+     * @param {Object} result - sendRequest() result
+     * @param {any} data - Result after response interceptors
+     * @param {boolean} cacheable - Whether the request may be cached
+     */
+    function storeValidator(cacheKey, result, data, cacheable) {
+      if (!cacheable || !config.conditionalRequests || (!result.etag && !result.lastModified)) {
+        validators.delete(cacheKey);
+        return;
       }
-    });
+      validators.set(cacheKey, { etag: result.etag, lastModified: result.lastModified, result: data });
+    }
 
-    return url.toString();
-  }
+    /**
+     * Send a request over the network, honouring the circuit breaker, the rate limit and retries
+     * @param {Object} req - Request after interceptors: { url, method, headers }
+     * @param {Object} options - Resolved request options
+     * @returns {Promise<Object>} { data, notModified, etag, lastModified }
+     */
+    async function sendRequest(req, options) {
+      const { url, method } = req;
 
-  /**
-   * Parse error response
-   * @param {Response} response - Fetch response
-   * @returns {Error} Parsed error
-   */
-  async function parseError(response) {
-    let message = `API Error: ${response.status} ${response.statusText}`;
-    let code = `HTTP_${response.status}`;
-
-    try {
-      const data = await response.json();
-      if (data.message) message = data.message;
-      if (data.error) message = data.error;
-      if (data.code) code = data.code;
-    } catch {
-      // Ignore JSON parse errors
-    }
-
-    const error = new Error(message);
-    error.code = code;
-    error.status = response.status;
-    return error;
-  }
+      // Fail fast while the API is down; a probe gets a single attempt
+      const isProbe = enterCircuit();
+      const retries = isProbe ? 1 : options.retries;
 
-  /**
-   * Check if error is retryable
-   * @param {Error} error - Error to check
-   * @returns {boolean} Whether error is retryable
-   */
-  function isRetryableError(error) {
-    return (
-      error.code === 'ECONNRESET' ||
-      error.code === 'ETIMEDOUT' ||
-      error.code === 'ENOTFOUND' ||
-      error.status === 429 ||
-      (error.status && error.status >= 500)
-    );
-  }
+      // Claim a slot in the rate limit window (low priority may wait here)
+      try {
+        await acquireRateLimit(options);
+      } catch (error) {
+        if (isProbe) openCircuit();
+        throw error;
+      }
 
-  /**
-   * Check rate limit
-   * @returns {boolean} Whether request is allowed
-   */
-  function checkRateLimit() {
-    const now = Date.now();
-    const fiveMinutes = 5 * 60 * 1000;
+      const startedAt = Date.now();
+      try {
+        const response = await sendWithRetries(req, { ...options, retries });
+        const notModified = response.status === 304;
+        const body = notModified ? '' : await response.text();
+        const result = {
+          data: notModified ? undefined : parseBody(body, response),
+          notModified,
+          etag: response.headers.get('ETag'),
+          lastModified: response.headers.get('Last-Modified'),
+        };
+        recordCircuitResult(null);
+        recordNetworkMetric(options.metric, Date.now() - startedAt, getResponseSize(response, body));
+        return result;
+      } catch (error) {
+        // A cancelled request says nothing about the API's health
+        if (error.code === 'ABORTED') {
+          if (isProbe) openCircuit();
+          throw error;
+        }
 
-    // Reset window if needed
-    if (now - rateLimitState.windowStart > fiveMinutes) {
-      rateLimitState.requests = [];
-      rateLimitState.windowStart = now;
-      rateLimitState.remaining = config.rateLimitPerFiveMinutes;
+        recordCircuitResult(error);
+        emitEvent('error', { url, method, error });
+        throw error;
+      }
     }
 
-    // Clean old requests
-    rateLimitState.requests = rateLimitState.requests.filter(
-      timestamp => now - timestamp < fiveMinutes
-    );
+    /**
+     * Call the transport, retrying 429s, 5xx and network errors
+     * @param {Object} req - Request after interceptors: { url, method, headers }
+     * @param {Object} options - Resolved request options: timeout, retries, signal
+     * @returns {Promise<Response>} Successful or 304 response
+     */
+    async function sendWithRetries(req, options) {
+      const { url, method, headers } = req;
+      const { timeout, retries, signal } = options;
 
-    return rateLimitState.requests.length < config.rateLimitPerFiveMinutes;
-  }
+      let lastError;
+      for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+          throwIfAborted(signal);
+          emitEvent('request', { url, method, attempt, cached: false });
 
-  /**
-   * Track a request for rate limiting
-   */
-  function trackRequest() {
-    rateLimitState.requests.push(Date.now());
-    rateLimitState.remaining = config.rateLimitPerFiveMinutes - rateLimitState.requests.length;
-  }
+          const controller = new AbortController();
+          const timeoutId = setTimeout(() => controller.abort(), timeout);
+          const abort = () => controller.abort();
+          signal?.addEventListener('abort', abort, { once: true });
 
-  /**
-   * Get time until rate limit resets
-   * @returns {number} Milliseconds until reset
-   */
-  function getTimeUntilRateLimitReset() {
-    const fiveMinutes = 5 * 60 * 1000;
-    return Math.max(0, fiveMinutes - (Date.now() - rateLimitState.windowStart));
-  }
+          let response;
+          try {
+            response = await resolveTransport()(url, {
+              method,
+              headers: {
+                'Content-Type': 'application/json',
+                ...headers,
+              },
+              signal: controller.signal,
+            });
+          } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abort);
+          }
 
-  /**
-   * Get current rate limit status
-   * @returns {Object} Rate limit status
-   */
-  function getRateLimitStatus() {
-    checkRateLimit(); // Update state
-    return {
-      remaining: rateLimitState.remaining,
-      limit: config.rateLimitPerFiveMinutes,
-      used: config.rateLimitPerFiveMinutes - rateLimitState.remaining,
-      resetsIn: getTimeUntilRateLimitReset(),
-      percentage: ((config.rateLimitPerFiveMinutes - rateLimitState.remaining) / config.rateLimitPerFiveMinutes) * 100,
-    };
-  }
+          // Handle rate limit headers
+          const remaining = response.headers.get('X-RateLimit-Remaining');
+          if (remaining !== null) {
+            rateLimitState.remaining = parseInt(remaining, 10);
+            emitEvent('rateLimit', { remaining: rateLimitState.remaining });
+          }
 
-  // Cache functions
-  function getFromCache(key) {
-    const item = cache.get(key);
-    if (!item) return null;
-    if (Date.now() > item.expires) {
-      cache.delete(key);
-      return null;
+          // Handle errors (a 304 answers a conditional request)
+          if (!response.ok && response.status !== 304) {
+            const error = await parseError(response);
+
+            // Retry on 429 (rate limit) or 5xx errors
+            if ((response.status === 429 || response.status >= 500) && attempt < retries) {
+              const delay = response.status === 429
+                ? (parseInt(response.headers.get('Retry-After') || '5', 10) * 1000)
+                : config.retryDelay * attempt;
+              getMetric(options.metric).retries++;
+              await sleep(delay, signal);
+              continue;
+            }
+
+            throw error;
+          }
+
+          return response;
+
+        } catch (err) {
+          lastError = err;
+
+          // Don't retry on abort or non-retryable errors
+          if (signal?.aborted || err.code === 'ABORTED') {
+            throw createAbortError();
+          }
+
+          if (err.name === 'AbortError') {
+            lastError = new Error('Request timed out');
+            lastError.code = 'TIMEOUT';
+            break;
+          }
+
+          if (attempt < retries && isRetryableError(err)) {
+            getMetric(options.metric).retries++;
+            await sleep(config.retryDelay * attempt, signal);
+            continue;
+          }
+
+          break;
+        }
+      }
+
+      throw lastError;
     }
-    return item.data;
-  }
 
-  function setCache(key, data, duration) {
-    cache.set(key, {
-      data,
-      expires: Date.now() + duration,
-    });
-  }
+    // =====================
+    // Circuit Breaker
+    // =====================
 
-  function clearCache() {
-    cache.clear();
-  }
+    /**
+     * Let a request through the circuit breaker. While the circuit is open,
+     * requests fail with CIRCUIT_OPEN until the reset timeout passes; the next
+     * request then goes out alone as a probe.
+     * @returns {boolean} Whether this request is the probe
+     */
+    function enterCircuit() {
+      if (circuit.state === 'closed') return false;
+
+      if (circuit.state === 'open' && Date.now() >= circuit.retryAt) {
+        clearTimeout(circuit.probeTimer);
+        circuit.state = 'half-open';
+        updateConnectionState();
+        return true;
+      }
+
+      const error = new Error('API unavailable. Requests are paused until it recovers.');
+      error.code = 'CIRCUIT_OPEN';
+      error.retryAfter = Math.max(0, circuit.retryAt - Date.now());
+      throw error;
+    }
+
+    /**
+     * Count a finished request towards the circuit breaker. Only outages count
+     * as failures: a 4xx still proves the API is reachable.
+     * @param {Error|null} error - Final error, or null on success
+     */
+    function recordCircuitResult(error) {
+      if (!error || !isOutageError(error)) {
+        const wasOpen = circuit.state !== 'closed';
+        circuit.failures = 0;
+        circuit.state = 'closed';
+        updateConnectionState();
+
+        // Catch up on polls skipped while the circuit was open
+        if (wasOpen) pollers.forEach(poller => schedulePoll(poller, true));
+        return;
+      }
+
+      circuit.failures++;
+      if (circuit.state === 'open') return;
+
+      const threshold = config.circuitFailureThreshold;
+      if (circuit.state === 'half-open' || (threshold > 0 && circuit.failures >= threshold)) {
+        openCircuit();
+      } else {
+        updateConnectionState();
+      }
+    }
+
+    /**
+     * Open the circuit and schedule a health check as the next probe
+     */
+    function openCircuit() {
+      circuit.state = 'open';
+      circuit.retryAt = Date.now() + config.circuitResetTimeout;
+
+      clearTimeout(circuit.probeTimer);
+      circuit.probeTimer = unrefTimer(setTimeout(() => {
+        circuit.probeTimer = null;
+        system.health().catch(() => {
+          // The circuit breaker records the outcome
+        });
+      }, config.circuitResetTimeout));
+
+      updateConnectionState();
+    }
+
+    /**
+     * Whether an error means the API itself is unreachable or failing
+     * @param {Error} error - Request error
+     * @returns {boolean}
+     */
+    function isOutageError(error) {
+      if (error.code === 'TIMEOUT') return true;
+      if (error.code === 'INVALID_RESPONSE') return false;
+      if (error.status) return error.status >= 500;
+      return error.code !== 'RATE_LIMIT_EXCEEDED';
+    }
+
+    /**
+     * Emit a connection event when the derived state changes
+     */
+    function updateConnectionState() {
+      const previous = connectionState;
+      connectionState = getConnectionState();
+      if (connectionState === previous) return;
+
+      emitEvent('connection', {
+        state: connectionState,
+        previous,
+        failures: circuit.failures,
+        retryAfter: circuit.state === 'open' ? Math.max(0, circuit.retryAt - Date.now()) : 0,
+      });
+    }
+
+    /**
+     * Get the API connection state
+     * @returns {string} 'online', 'degraded' (recent failures or probing) or 'offline' (circuit open)
+     */
+    function getConnectionState() {
+      if (circuit.state === 'open') return 'offline';
+      if (circuit.state === 'half-open' || circuit.failures > 0) return 'degraded';
+      return 'online';
+    }
+
+    // =====================
+    // Metrics
+    // =====================
+
+    /**
+     * Get (or start) the counters for an endpoint
+     * @param {string} name - Endpoint method name, or path for raw requests
+     * @returns {Object} Counters
+     */
+    function getMetric(name) {
+      let metric = metrics.get(name);
+      if (!metric) {
+        metric = createCounters();
+        metrics.set(name, metric);
+      }
+      return metric;
+    }
+
+    function createCounters() {
+      return {
+        requests: 0,
+        errors: 0,
+        cacheHits: 0,
+        coalesced: 0,
+        network: 0,
+        notModified: 0,
+        retries: 0,
+        bytes: 0,
+        latencies: [],
+      };
+    }
+
+    /**
+     * Count a response that came over the network
+     * @param {string} name - Endpoint method name
+     * @param {number} duration - Milliseconds from send to parsed body, retries included
+     * @param {number} bytes - Response body size
+     */
+    function recordNetworkMetric(name, duration, bytes) {
+      const metric = getMetric(name);
+      metric.network++;
+      metric.bytes += bytes;
+      metric.latencies.push(duration);
+      if (metric.latencies.length > MAX_LATENCY_SAMPLES) metric.latencies.shift();
+    }
+
+    /**
+     * Size of a response body, from Content-Length when the server sends it
+     * @param {Response} response - Transport response
+     * @param {string} body - Body text
+     * @returns {number} Bytes
+     */
+    function getResponseSize(response, body) {
+      const length = parseInt(response.headers.get('Content-Length'), 10);
+      if (!Number.isNaN(length)) return length;
+      return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(body).length : body.length;
+    }
+
+    /**
+     * Summarize counters and latency samples
+     * @param {Object} metric - Counters
+     * @returns {Object} Snapshot with error rate, cache hit ratio and latency percentiles
+     */
+    function summarizeMetric({ latencies, ...counts }) {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      const percentile = p => (sorted.length ? sorted[Math.ceil((p / 100) * sorted.length) - 1] : null);
+
+      return {
+        ...counts,
+        errorRate: counts.requests ? counts.errors / counts.requests : 0,
+        cacheHitRatio: counts.requests ? counts.cacheHits / counts.requests : 0,
+        latency: {
+          p50: percentile(50),
+          p90: percentile(90),
+          p99: percentile(99),
+          avg: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+          max: sorted.length ? sorted[sorted.length - 1] : null,
+          samples: sorted.length,
+        },
+      };
+    }
+
+    /**
+     * Get request metrics per endpoint and in total since the last reset.
+     * Latency covers network responses only (the last 500 per endpoint);
+     * cache hits and coalesced requests are counted separately.
+     * @returns {Object} { since, totals, endpoints }
+     */
+    function getMetrics() {
+      const total = createCounters();
+      const endpoints = {};
+
+      metrics.forEach((metric, name) => {
+        endpoints[name] = summarizeMetric(metric);
+        Object.keys(total).forEach(key => {
+          if (key === 'latencies') total.latencies.push(...metric.latencies);
+          else total[key] += metric[key];
+        });
+      });
+
+      return {
+        since: new Date(metricsSince).toISOString(),
+        totals: summarizeMetric(total),
+        endpoints,
+      };
+    }
+
+    /**
+     * Clear all metrics and start counting afresh
+     */
+    function resetMetrics() {
+      metrics.clear();
+      metricsSince = Date.now();
+    }
+
+    /**
+     * Run the metrics timer only while someone listens for 'metrics'
+     */
+    function updateMetricsTimer() {
+      clearInterval(metricsTimer);
+      metricsTimer = null;
+
+      if (listeners.metrics.size > 0 && config.metricsInterval > 0) {
+        metricsTimer = unrefTimer(setInterval(() => emitEvent('metrics', getMetrics()), config.metricsInterval));
+      }
+    }
+
+    // =====================
+    // Schema Drift
+    // =====================
+
+    /**
+     * Check a sample of live responses against the APIVerifier schemas and the
+     * shape first seen for the same endpoint. Each new drift is logged once and
+     * emitted as a schemaDrift event.
+     * @param {string|null} name - Endpoint method name
+     * @param {string} url - Request URL
+     * @param {any} data - Raw response data
+     */
+    function sampleSchemaDrift(name, url, data) {
+      const rate = config.schemaDrift === true ? 1 : Number(config.schemaDrift) || 0;
+      if (!name || rate <= 0 || Math.random() >= rate) return;
+
+      const verifier = typeof APIVerifier !== 'undefined'
+        ? APIVerifier
+        : loadModule('./api-verifier');
+      if (!verifier) return;
+
+      try {
+        const { missing, added, retyped, shape } = verifier.detectDrift(name, data, driftBaselines.get(name) || null);
+        if (shape) driftBaselines.set(name, shape);
+
+        if (missing.length === 0 && added.length === 0 && retyped.length === 0) {
+          driftSignatures.delete(name);
+          return;
+        }
+
+        // Report each distinct drift once, not on every sample
+        const signature = JSON.stringify({ missing, added, retyped });
+        if (driftSignatures.get(name) === signature) return;
+        driftSignatures.set(name, signature);
+
+        const entry = { endpoint: name, url, timestamp: new Date().toISOString(), missing, added, retyped };
+        driftLog.push(entry);
+        if (driftLog.length > MAX_DRIFT_LOG) driftLog.shift();
+
+        // Reported through the event and getDriftLog(), not the console
+        emitEvent('schemaDrift', entry);
+      } catch (error) {
+        // Drift detection must never break a request
+        console.error('[MyPrizeAPI] Schema drift check failed:', error);
+      }
+    }
+
+    /**
+     * Get the drift entries recorded so far
+     * @returns {Array} Drift entries, oldest first
+     */
+    function getDriftLog() {
+      return driftLog.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Export the drift log as JSON, e.g. to attach to a bug report
+     * @returns {string} JSON document
+     */
+    function exportDriftLog() {
+      return JSON.stringify({ exportedAt: new Date().toISOString(), entries: driftLog }, null, 2);
+    }
+
+    /**
+     * Clear the drift log and forget learned response shapes
+     */
+    function clearDriftLog() {
+      driftLog.length = 0;
+      driftSignatures.clear();
+      driftBaselines.clear();
+    }
+
+    // =====================
+    // Interceptors
+    // =====================
+
+    /**
+     * Register an interceptor. Interceptors run in registration order on every
+     * network request; cache hits and coalesced requests skip them.
+     *
+     * - onRequest(req): receives { url, method, headers }. Return a replacement
+     *   (or mutate and return nothing). Include a `response` property to answer
+     *   without touching the network.
+     * - onResponse(data, req): return a replacement body, or nothing to keep it.
+     *   Runs before the response is cached; req.duration holds the elapsed ms.
+     * - onError(error, req): return a value to recover with it, or nothing to
+     *   pass the error on. Throwing replaces the error.
+     *
+     * @param {Object} interceptor - { onRequest, onResponse, onError }
+     * @returns {Function} Function that removes the interceptor
+     */
+    function use(interceptor) {
+      if (!interceptor || typeof interceptor !== 'object') {
+        throw new TypeError('use() requires an interceptor object');
+      }
+
+      interceptors.push(interceptor);
+      return () => {
+        const index = interceptors.indexOf(interceptor);
+        if (index !== -1) interceptors.splice(index, 1);
+      };
+    }
+
+    async function runRequestInterceptors(req) {
+      for (const { onRequest } of [...interceptors]) {
+        if (!onRequest) continue;
+        req = (await onRequest(req)) ?? req;
+        if ('response' in req) break;
+      }
+      return req;
+    }
+
+    async function runResponseInterceptors(data, req) {
+      for (const { onResponse } of [...interceptors]) {
+        if (!onResponse) continue;
+        const result = await onResponse(data, req);
+        if (result !== undefined) data = result;
+      }
+      return data;
+    }
+
+    async function runErrorInterceptors(error, req) {
+      for (const { onError } of [...interceptors]) {
+        if (!onError) continue;
+        try {
+          const recovered = await onError(error, req);
+          if (recovered !== undefined) return recovered;
+        } catch (replacement) {
+          error = replacement;
+        }
+      }
+      throw error;
+    }
+
+    /**
+     * Resolve the configured transport to a fetch-compatible function
+     * @returns {Function} Transport taking (url, init) and resolving to a Response
+     */
+    function resolveTransport() {
+      const { transport } = config;
+
+      if (typeof transport === 'function') {
+        return transport;
+      }
+
+      if (transport === 'mock') {
+        return resolveMock().fetch;
+      }
+
+      if (typeof fetch !== 'function') {
+        throw new Error('No global fetch: use Node 18+ or pass a fetch implementation as the transport option');
+      }
+      return (url, init) => fetch(url, init);
+    }
+
+    /**
+     * Resolve the mock backend used by transport: 'mock'
+     * @returns {Object} MockTransport
+     */
+    function resolveMock() {
+      const mock = typeof MockTransport !== 'undefined'
+        ? MockTransport
+        : loadModule('./mock-transport');
+      if (!mock) {
+        throw new Error('Mock transport requested but src/utils/mock-transport.js is not loaded');
+      }
+      return mock;
+    }
+
+    /**
+     * Resolve the domain model normalizers
+     * @returns {Object} MyPrizeModels
+     */
+    function resolveModels() {
+      const models = typeof MyPrizeModels !== 'undefined'
+        ? MyPrizeModels
+        : loadModule('./models');
+      if (!models) {
+        throw new Error('Normalization requested but src/utils/models.js is not loaded');
+      }
+      return models;
+    }
+
+    /**
+     * Load a sibling module under CommonJS; browsers load it via a script tag instead
+     * @param {string} path - Module path
+     * @returns {any} Module exports, or null if unavailable
+     */
+    function loadModule(path) {
+      if (typeof require !== 'function') return null;
+      try {
+        return require(path);
+      } catch {
+        return null;
+      }
+    }
+
+    /**
+     * Build URL with query parameters
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Query parameters
+     * @returns {string} Full URL
+     */
+    function buildUrl(endpoint, params) {
+      const path = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+      // A relative baseUrl such as '/api' is resolved against the page
+      const url = new URL(config.baseUrl + path, typeof location !== 'undefined' ? location.href : undefined);
+
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          url.searchParams.append(key, String(value));
+        }
+      });
+
+      return url.toString();
+    }
+
+    /**
+     * Parse a successful response body; an empty one (e.g. a 204) is null
+     * @param {string} body - Response text
+     * @param {Response} response - Fetch response
+     * @returns {any} Parsed JSON
+     * @throws {Error} INVALID_RESPONSE when the body isn't JSON, e.g. a maintenance page
+     */
+    function parseBody(body, response) {
+      if (body.trim() === '') return null;
 
-  // Event emitter functions
-  function emitEvent(event, data) {
-    listeners[event]?.forEach(callback => {
       try {
-        callback(data);
+        return JSON.parse(body);
       } catch (e) {
-        console.error(`[MyPrizeAPI] Event listener error:`, e);
+        const error = new Error(`Invalid JSON in ${response.status} response: ${e.message}`);
+        error.code = 'INVALID_RESPONSE';
+        error.status = response.status;
+        throw error;
       }
-    });
-  }
+    }
 
-  function on(event, callback) {
-    listeners[event]?.add(callback);
-    return () => listeners[event]?.delete(callback);
-  }
+    /**
+     * Parse error response
+     * @param {Response} response - Fetch response
+     * @returns {Error} Parsed error
+     */
+    async function parseError(response) {
+      let message = `API Error: ${response.status} ${response.statusText}`;
+      let code = `HTTP_${response.status}`;
 
-  // Helper function
-  function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+      try {
+        const data = await response.json();
+        if (data.message) message = data.message;
+        if (data.error) message = data.error;
+        if (data.code) code = data.code;
+      } catch {
+        // Ignore JSON parse errors
+      }
 
-  // =====================
-  // API Endpoint Methods
-  // =====================
-
-  // Rooms
-  const rooms = {
-    list: (params = {}) => request('/rooms', { params }),
-    get: (id) => request(`/rooms/${id}`),
-    getBySlug: (slug) => request(`/rooms/slug/${slug}`),
-    getBetRoundMetrics: (id) => request(`/rooms/${id}/bet_round_metrics`),
-    getRecentGames: (id, params = {}) => request(`/rooms/${id}/igames/recent`, { params }),
-  };
-
-  // Users
-  const users = {
-    get: (id) => request(`/user/${id}`),
-    getStats: (params = {}) => request('/stats/users', { params }),
-  };
-
-  // iGames (Casino Games)
-  const igames = {
-    list: (params = {}) => request('/igames', { params }),
-    get: (slugOrId) => request(`/igames/slug/${slugOrId}`),
-    getPopular: (params = {}) => request('/igames/popular', { params }),
-    getFilters: () => request('/igames/filters'),
-    getForMission: (missionId, params = {}) => request(`/igames/mission/${missionId}`, { params }),
-    getByProvider: (provider, params = {}) => request('/igames', {
-      params: { ...params, equals_field: 'provider', equals_value: provider }
-    }),
-  };
-
-  // Missions
-  const missions = {
-    list: (params = {}) => request('/missions', { params }),
-    getByRoom: (roomId, params = {}) => request('/missions', {
-      params: { ...params, room_id: roomId }
-    }),
-    getGames: (missionId, params = {}) => request(`/igames/mission/${missionId}`, { params }),
-  };
-
-  // Bets
-  const bets = {
-    getBig: (params = {}) => request('/bets/tracked/type/big', { params: formatBetsParams(params) }),
-    getLucky: (params = {}) => request('/bets/tracked/type/lucky', { params: formatBetsParams(params) }),
-    getRecent: (params = {}) => request('/bets/tracked/type/recent', { params: formatBetsParams(params) }),
-    getWins: (params = {}) => request('/bets/tracked/type/wins', { params: formatBetsParams(params) }),
-    getById: (id) => request(`/bets/tracked/${id}`),
-  };
-
-  // Helper to convert room_id param to equals_field/equals_value format
-  function formatBetsParams(params) {
-    const { room_id, ...rest } = params;
-    if (room_id) {
-      return { ...rest, equals_field: 'room_id', equals_value: room_id };
-    }
-    return rest;
-  }
+      const error = new Error(message);
+      error.code = code;
+      error.status = response.status;
+      return error;
+    }
+
+    /**
+     * Check if error is retryable
+     * @param {Error} error - Error to check
+     * @returns {boolean} Whether error is retryable
+     */
+    function isRetryableError(error) {
+      return (
+        error.code === 'ECONNRESET' ||
+        error.code === 'ETIMEDOUT' ||
+        error.code === 'ENOTFOUND' ||
+        error.status === 429 ||
+        (error.status && error.status >= 500)
+      );
+    }
+
+    /**
+     * Check rate limit
+     * @returns {boolean} Whether request is allowed
+     */
+    function checkRateLimit() {
+      const now = Date.now();
+      const fiveMinutes = 5 * 60 * 1000;
+
+      // Reset window if needed
+      if (now - rateLimitState.windowStart > fiveMinutes) {
+        rateLimitState.requests = [];
+        rateLimitState.windowStart = now;
+        rateLimitState.remaining = config.rateLimitPerFiveMinutes;
+      }
+
+      // Clean old requests
+      rateLimitState.requests = rateLimitState.requests.filter(
+        entry => now - entry.timestamp < fiveMinutes
+      );
+
+      return rateLimitState.requests.length < config.rateLimitPerFiveMinutes;
+    }
+
+    /**
+     * Track a request for rate limiting
+     * @param {string} [consumer='default'] - Consumer the request counts against
+     */
+    function trackRequest(consumer = 'default') {
+      rateLimitState.requests.push({ timestamp: Date.now(), consumer });
+      rateLimitState.remaining = config.rateLimitPerFiveMinutes - rateLimitState.requests.length;
+    }
+
+    /**
+     * Claim a rate limit slot. Low-priority requests wait while the window is
+     * full, their consumer is over budget, or only the reserve is left; other
+     * requests fail with RATE_LIMIT_EXCEEDED. High-priority requests may
+     * overrun their consumer's budget while the window has room.
+     * @param {Object} options - Resolved request options
+     * @returns {Promise<void>}
+     */
+    async function acquireRateLimit({ consumer = 'default', priority = 'normal', signal = null }) {
+      for (;;) {
+        const block = getRateLimitBlock(consumer, priority);
+        if (!block) {
+          trackRequest(consumer);
+          return;
+        }
+
+        if (priority !== 'low') {
+          const error = new Error(block.reason === 'budget'
+            ? `Rate limit budget for "${consumer}" used up. Please wait before making more requests.`
+            : 'Rate limit exceeded. Please wait before making more requests.');
+          error.code = 'RATE_LIMIT_EXCEEDED';
+          error.retryAfter = block.retryAfter;
+          error.consumer = consumer;
+          emitEvent('rateLimit', { remaining: rateLimitState.remaining, retryAfter: error.retryAfter, consumer });
+          throw error;
+        }
+
+        emitEvent('rateLimit', {
+          remaining: rateLimitState.remaining,
+          retryAfter: block.retryAfter,
+          consumer,
+          deferred: true,
+        });
+        await sleep(Math.max(block.retryAfter, config.retryDelay), signal);
+      }
+    }
+
+    /**
+     * Why a request can't be sent right now
+     * @param {string} consumer - Consumer ID
+     * @param {string} priority - Request priority
+     * @returns {Object|null} { reason, retryAfter }, or null when it may go ahead
+     */
+    function getRateLimitBlock(consumer, priority) {
+      if (!checkRateLimit()) {
+        return { reason: 'window', retryAfter: getTimeUntilRateLimitReset() };
+      }
+
+      const budget = getConsumerBudget(consumer);
+      if (budget !== null && priority !== 'high') {
+        const used = rateLimitState.requests.filter(entry => entry.consumer === consumer);
+        if (used.length >= budget) {
+          const fiveMinutes = 5 * 60 * 1000;
+          const oldestExpires = used.length > 0 ? used[0].timestamp + fiveMinutes - Date.now() : Infinity;
+          return { reason: 'budget', retryAfter: Math.min(oldestExpires, getTimeUntilRateLimitReset()) };
+        }
+      }
+
+      const reserve = Math.floor(config.rateLimitPerFiveMinutes * config.lowPriorityReserve);
+      if (priority === 'low' && rateLimitState.requests.length >= config.rateLimitPerFiveMinutes - reserve) {
+        return { reason: 'reserve', retryAfter: getTimeUntilRateLimitReset() };
+      }
+
+      return null;
+    }
+
+    /**
+     * Requests per window a consumer may make
+     * @param {string} consumer - Consumer ID
+     * @returns {number|null} Budget, or null when unlimited
+     */
+    function getConsumerBudget(consumer) {
+      const budget = config.consumerBudgets[consumer];
+      if (typeof budget !== 'number') return null;
+      return budget < 1 ? Math.floor(config.rateLimitPerFiveMinutes * budget) : budget;
+    }
+
+    /**
+     * Run a function with a consumer and priority applied to every request it
+     * starts synchronously (endpoint methods start theirs immediately)
+     * @param {Object} context - { consumer, priority, signal }
+     * @param {Function} fn - Function that calls endpoint methods
+     * @returns {any} The function's return value
+     */
+    function withRequestContext(context, fn) {
+      const previous = requestContext;
+      requestContext = context;
+      try {
+        return fn();
+      } finally {
+        requestContext = previous;
+      }
+    }
+
+    /**
+     * Get time until rate limit resets
+     * @returns {number} Milliseconds until reset
+     */
+    function getTimeUntilRateLimitReset() {
+      const fiveMinutes = 5 * 60 * 1000;
+      return Math.max(0, fiveMinutes - (Date.now() - rateLimitState.windowStart));
+    }
+
+    /**
+     * Get current rate limit status
+     * @returns {Object} Rate limit status
+     */
+    function getRateLimitStatus() {
+      checkRateLimit(); // Update state
+
+      // Usage per consumer, including budgeted consumers that haven't made a request yet
+      const consumers = {};
+      const names = new Set([
+        ...rateLimitState.requests.map(entry => entry.consumer),
+        ...Object.keys(config.consumerBudgets),
+      ]);
+      names.forEach(name => {
+        const used = rateLimitState.requests.filter(entry => entry.consumer === name).length;
+        const budget = getConsumerBudget(name);
+        consumers[name] = {
+          used,
+          budget,
+          remaining: budget === null ? null : Math.max(0, budget - used),
+        };
+      });
+
+      return {
+        remaining: rateLimitState.remaining,
+        limit: config.rateLimitPerFiveMinutes,
+        used: config.rateLimitPerFiveMinutes - rateLimitState.remaining,
+        resetsIn: getTimeUntilRateLimitReset(),
+        percentage: ((config.rateLimitPerFiveMinutes - rateLimitState.remaining) / config.rateLimitPerFiveMinutes) * 100,
+        consumers,
+      };
+    }
+
+    // Cache functions
+    function getFromCache(key) {
+      const item = cache.get(key);
+
+      // Expired entries stay until evicted so their validators can revalidate them
+      if (!item || Date.now() > item.expires) {
+        cacheStats.misses++;
+        return null;
+      }
+
+      // Move to the most recently used end
+      cache.delete(key);
+      cache.set(key, item);
+      cacheStats.hits++;
+      return item.data;
+    }
+
+    function setCache(key, data, duration, tags = []) {
+      removeCacheEntry(key);
+
+      const size = estimateSize(data);
+      cache.set(key, {
+        data,
+        expires: Date.now() + duration,
+        tags,
+        size,
+      });
+      cacheStats.bytes += size;
+      evictCache();
+    }
+
+    function removeCacheEntry(key) {
+      const item = cache.get(key);
+      if (!item) return false;
+      cache.delete(key);
+      cacheStats.bytes -= item.size;
+      return true;
+    }
+
+    /**
+     * Evict least recently used entries until the cache fits its limits
+     */
+    function evictCache() {
+      const { cacheMaxEntries, cacheMaxBytes } = config;
+
+      while (
+        (cacheMaxEntries > 0 && cache.size > cacheMaxEntries)
+        || (cacheMaxBytes > 0 && cacheStats.bytes > cacheMaxBytes && cache.size > 0)
+      ) {
+        const oldest = cache.keys().next().value;
+        removeCacheEntry(oldest);
+        validators.delete(oldest);
+        cacheStats.evictions++;
+      }
+    }
+
+    // Approximate size of a cached response: the length of its JSON
+    function estimateSize(data) {
+      try {
+        return JSON.stringify(data)?.length ?? 0;
+      } catch (e) {
+        return 0;
+      }
+    }
+
+    function clearCache() {
+      clearMemoryCache();
+      tagInvalidations.clear();
+      getPersistentStore()?.clear().catch(() => {});
+    }
+
+    function clearMemoryCache() {
+      cache.clear();
+      validators.clear();
+      cacheStats.bytes = 0;
+    }
+
+    /**
+     * Drop cached responses tagged with any of the given tags, from memory and
+     * the persistent cache. Matching requests already in flight still resolve
+     * but aren't cached, and later callers don't join them. Persisted entries
+     * that are no longer in memory are skipped and deleted when next read.
+     * @param {string|string[]} tags - e.g. 'room:123' or ['bets:big', 'bets:lucky']
+     * @returns {number} Number of memory cache entries removed
+     */
+    function invalidate(tags) {
+      const targets = new Set([].concat(tags));
+      const matches = entryTags => entryTags.some(tag => targets.has(tag));
+      const store = getPersistentStore();
+      let removed = 0;
+
+      const now = Date.now();
+      targets.forEach(tag => tagInvalidations.set(tag, now));
+      if (store) persistInvalidations(store);
+
+      cache.forEach((item, key) => {
+        if (!matches(item.tags)) return;
+        removeCacheEntry(key);
+        validators.delete(key);
+        store?.remove(key).catch(() => {});
+        removed++;
+      });
+
+      inFlight.forEach((shared, key) => {
+        if (matches(shared.tags)) inFlight.delete(key);
+      });
+
+      return removed;
+    }
+
+    /**
+     * Tags for a request: its endpoint namespace ('rooms', 'bets', ...) plus any given
+     * @param {string|null} name - Endpoint method name
+     * @param {string[]} tags - Tags passed with the request
+     * @returns {string[]} Tags
+     */
+    function getCacheTags(name, tags) {
+      return name ? [name.split('.')[0], ...tags] : [...tags];
+    }
+
+    /**
+     * Whether any of the tags was invalidated at or after a point in time
+     * @param {string[]} tags - Cache tags
+     * @param {number} since - Timestamp
+     * @returns {boolean}
+     */
+    function isInvalidated(tags, since) {
+      return tags.some(tag => (tagInvalidations.get(tag) ?? -Infinity) >= since);
+    }
+
+    // A finished request may be cached unless its tags were invalidated while it ran
+    function isCacheable({ useCache, method, tags }, startedAt) {
+      return useCache && method === 'GET' && !isInvalidated(tags, startedAt);
+    }
+
+    /**
+     * Get memory cache usage
+     * @returns {Object} { entries, expired, bytes, maxEntries, maxBytes, hits, misses, hitRatio, evictions, tags }
+     */
+    function getCacheStatus() {
+      const now = Date.now();
+      const tags = {};
+      let expired = 0;
+
+      cache.forEach(item => {
+        if (now > item.expires) expired++;
+        item.tags.forEach(tag => {
+          tags[tag] = (tags[tag] || 0) + 1;
+        });
+      });
+
+      const lookups = cacheStats.hits + cacheStats.misses;
+      return {
+        entries: cache.size,
+        expired,
+        bytes: cacheStats.bytes,
+        maxEntries: config.cacheMaxEntries,
+        maxBytes: config.cacheMaxBytes,
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        hitRatio: lookups ? cacheStats.hits / lookups : 0,
+        evictions: cacheStats.evictions,
+        tags,
+      };
+    }
+
+    /**
+     * Resolve max-age and stale-age for an endpoint
+     * @param {string} endpoint - API endpoint
+     * @param {number} [cacheDuration] - Explicit per-request max-age
+     * @returns {{maxAge: number, staleAge: number}} Cache policy
+     */
+    function getCachePolicy(endpoint, cacheDuration) {
+      const path = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+
+      // Longest matching prefix wins
+      const match = Object.keys(config.cachePolicies)
+        .filter(prefix => path.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+      const policy = match ? config.cachePolicies[match] : {};
+
+      return {
+        maxAge: cacheDuration ?? policy.maxAge ?? config.cacheDuration,
+        staleAge: policy.staleAge ?? config.staleAge,
+      };
+    }
+
+    /**
+     * Get the persistent store, if enabled
+     * @returns {Object|null} Store with get/set/remove/clear
+     */
+    function getPersistentStore() {
+      const { persistentCache } = config;
+      if (!persistentCache) return null;
+      if (typeof persistentCache === 'object') return persistentCache;
+
+      return typeof PersistentCache !== 'undefined'
+        ? PersistentCache
+        : loadModule('./persistent-cache');
+    }
+
+    async function readPersistentCache(key) {
+      const store = getPersistentStore();
+      if (!store) return null;
+      try {
+        await loadInvalidations(store);
+        return await store.get(key);
+      } catch (e) {
+        console.warn('[MyPrizeAPI] Persistent cache read failed:', e);
+        return null;
+      }
+    }
+
+    // Merge invalidations saved by earlier page loads, once per store
+    function loadInvalidations(store) {
+      if (!loadedInvalidations.has(store)) {
+        loadedInvalidations.set(store, Promise.resolve()
+          .then(() => store.get(INVALIDATIONS_KEY))
+          .then(stored => {
+            Object.entries(stored?.data || {}).forEach(([tag, time]) => {
+              if (time > (tagInvalidations.get(tag) ?? -Infinity)) tagInvalidations.set(tag, time);
+            });
+          })
+          .catch(() => {}));
+      }
+      return loadedInvalidations.get(store);
+    }
+
+    // Save the most recent invalidations; older ones only guard entries too old to serve
+    function persistInvalidations(store) {
+      loadInvalidations(store)
+        .then(() => {
+          const recent = Array.from(tagInvalidations)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_PERSISTED_INVALIDATIONS);
+          return store.set(INVALIDATIONS_KEY, { data: Object.fromEntries(recent), storedAt: Date.now() });
+        })
+        .catch(() => {});
+    }
+
+    function writePersistentCache(key, data) {
+      getPersistentStore()?.set(key, { data, storedAt: Date.now() }).catch(e => {
+        console.warn('[MyPrizeAPI] Persistent cache write failed:', e);
+      });
+    }
+
+    /**
+     * Refresh a stale entry in the background and announce it if it changed
+     * @param {string} url - Full request URL
+     * @param {string} cacheKey - Cache key for the request
+     * @param {Object} requestOptions - Resolved request options
+     * @param {any} previous - Stale data that was served
+     */
+    function revalidate(url, cacheKey, requestOptions, previous) {
+      fetchFromNetwork(url, cacheKey, requestOptions)
+        .then(data => {
+          if (JSON.stringify(data) !== JSON.stringify(previous)) {
+            emitEvent('revalidate', { url, data, previous });
+          }
+        })
+        .catch(() => {
+          // Failures already surface through the error event
+        });
+    }
+
+    // Event emitter functions
+    function emitEvent(event, data) {
+      listeners[event]?.forEach(callback => {
+        try {
+          callback(data);
+        } catch (e) {
+          console.error(`[MyPrizeAPI] Event listener error:`, e);
+        }
+      });
+    }
+
+    function on(event, callback) {
+      listeners[event]?.add(callback);
+      if (event === 'metrics') updateMetricsTimer();
+
+      return () => {
+        listeners[event]?.delete(callback);
+        if (event === 'metrics') updateMetricsTimer();
+      };
+    }
+
+    // =====================
+    // Polling Scheduler
+    // =====================
+
+    /**
+     * Poll a resource on a shared schedule. Every subscriber to the same
+     * endpoint + arguments shares one timer that runs at the fastest interval
+     * requested; the timer stops when the last subscriber leaves.
+     * @param {Function} endpointFn - Endpoint method, e.g. MyPrizeAPI.bets.getBig
+     * @param {Object|Array} [args] - Params object, or positional arguments as an array
+     * @param {Function} handler - Called with (data, { unchanged }); unchanged is true when a
+     *   poll resolved to the same result as the last one (304 or cache hit), so there's nothing to re-render
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.interval=60000] - Desired refresh interval in ms
+     * @param {boolean} [options.immediate=true] - Deliver data now (cached or freshly fetched)
+     * @param {Function} [options.onError] - Called when a poll fails
+     * @param {string} [options.consumer] - Consumer the polls count against
+     * @param {string} [options.priority='normal'] - Priority; a shared poll runs at its highest subscriber's
+     * @returns {Function} Unsubscribe function
+     */
+    function poll(endpointFn, args, handler, options = {}) {
+      if (typeof endpointFn !== 'function') {
+        throw new TypeError('poll() requires an endpoint function');
+      }
+
+      const {
+        interval = 60000,
+        immediate = true,
+        onError = null,
+        consumer,
+        priority = 'normal',
+      } = options;
+      const key = getPollKey(endpointFn, args);
+
+      let poller = pollers.get(key);
+      const isNew = !poller;
+      if (isNew) {
+        poller = {
+          key,
+          endpointFn,
+          args,
+          subscribers: new Set(),
+          timer: null,
+          running: false,
+          lastRun: 0,
+          hasData: false,
+          data: undefined,
+        };
+        pollers.set(key, poller);
+      }
+
+      const subscriber = { handler, interval, onError, consumer, priority };
+      poller.subscribers.add(subscriber);
+
+      if (isNew && !immediate) {
+        // First poll waits a full interval
+        poller.lastRun = Date.now();
+      } else if (!isNew && immediate && poller.hasData) {
+        const { data } = poller;
+        Promise.resolve().then(() => {
+          if (poller.subscribers.has(subscriber)) notify(subscriber, data, false);
+        });
+      }
+
+      schedulePoll(poller, isNew && immediate);
+
+      return () => {
+        poller.subscribers.delete(subscriber);
+        if (poller.subscribers.size === 0) {
+          clearTimeout(poller.timer);
+          pollers.delete(key);
+        } else {
+          schedulePoll(poller);
+        }
+      };
+    }
+
+    /**
+     * Build a stable key for an endpoint function and its arguments
+     * @param {Function} endpointFn - Endpoint method
+     * @param {Object|Array} args - Endpoint arguments
+     * @returns {string} Poll key
+     */
+    function getPollKey(endpointFn, args) {
+      if (!endpointIds.has(endpointFn)) {
+        endpointIds.set(endpointFn, nextEndpointId++);
+      }
+      return `${endpointIds.get(endpointFn)}:${JSON.stringify(args ?? null)}`;
+    }
+
+    /**
+     * (Re)arm a poller's timer for its fastest subscriber
+     * @param {Object} poller - Poller state
+     * @param {boolean} [now=false] - Poll immediately
+     */
+    function schedulePoll(poller, now = false) {
+      clearTimeout(poller.timer);
+      poller.timer = null;
+
+      // A running poll re-arms the timer when it finishes
+      if (poller.running || pollers.get(poller.key) !== poller) return;
+
+      const interval = Math.min(...Array.from(poller.subscribers, s => s.interval));
+      const delay = now ? 0 : Math.max(0, poller.lastRun + interval - Date.now());
+      poller.timer = setTimeout(() => runPoll(poller), delay);
+    }
+
+    /**
+     * Fetch a polled resource and fan the result out to subscribers
+     * @param {Object} poller - Poller state
+     */
+    async function runPoll(poller) {
+      poller.timer = null;
+      poller.lastRun = Date.now();
+
+      // Sit out while the circuit is open; polls resume when it closes
+      if (circuit.state !== 'closed') {
+        schedulePoll(poller);
+        return;
+      }
+
+      poller.running = true;
+
+      try {
+        const { endpointFn, args } = poller;
+        const data = await withRequestContext(getPollContext(poller), () => (
+          Array.isArray(args) ? endpointFn(...args) : endpointFn(args)
+        ));
+        const unchanged = poller.hasData && data === poller.data;
+        poller.data = data;
+        poller.hasData = true;
+        poller.subscribers.forEach(subscriber => notify(subscriber, data, unchanged));
+      } catch (error) {
+        poller.subscribers.forEach(subscriber => {
+          if (!subscriber.onError) return;
+          try {
+            subscriber.onError(error);
+          } catch (e) {
+            console.error('[MyPrizeAPI] Poll error handler failed:', e);
+          }
+        });
+      } finally {
+        poller.running = false;
+        schedulePoll(poller);
+      }
+    }
+
+    /**
+     * Consumer and priority a shared poll runs with: its most urgent subscriber's
+     * @param {Object} poller - Poller state
+     * @returns {Object} { consumer, priority }
+     */
+    function getPollContext(poller) {
+      let lead = null;
+      poller.subscribers.forEach(subscriber => {
+        if (!lead || (PRIORITIES[subscriber.priority] ?? 1) > (PRIORITIES[lead.priority] ?? 1)) {
+          lead = subscriber;
+        }
+      });
+      return { consumer: lead?.consumer, priority: lead?.priority };
+    }
+
+    function notify(subscriber, data, unchanged) {
+      try {
+        subscriber.handler(data, { unchanged });
+      } catch (e) {
+        console.error('[MyPrizeAPI] Poll handler error:', e);
+      }
+    }
+
+    /**
+     * Get the state of all active pollers
+     * @returns {Array<Object>} One entry per polled resource
+     */
+    function getPollStatus() {
+      return Array.from(pollers.values(), poller => ({
+        key: poller.key,
+        subscribers: poller.subscribers.size,
+        interval: Math.min(...Array.from(poller.subscribers, s => s.interval)),
+        lastRun: poller.lastRun || null,
+      }));
+    }
+
+    // =====================
+    // Subscriptions
+    // =====================
+
+    /**
+     * Feeds subscribe() accepts, with the endpoint it polls and the model of its items
+     * @param {string} channel - Channel name
+     * @returns {{endpointFn: Function, model: string}} Channel
+     */
+    function resolveChannel(channel) {
+      const channels = {
+        'bets.big': bets.getBig,
+        'bets.lucky': bets.getLucky,
+        'bets.recent': bets.getRecent,
+        'bets.wins': bets.getWins,
+      };
+      if (!channels[channel]) {
+        throw new TypeError(`Unknown channel: ${channel} (${Object.keys(channels).join(', ')})`);
+      }
+      return { endpointFn: channels[channel], model: 'bet' };
+    }
+
+    /**
+     * Subscribe to new items on a feed. With config.streamUrl set, items are
+     * pushed over server-sent events or a WebSocket as they happen; without it,
+     * or while the stream is down, the feed is polled. Either way the handler
+     * only receives items it hasn't seen yet, newest first.
+     *
+     * Stream messages are JSON: an item, an array of items, a list envelope,
+     * or { channel, data } wrapping any of those.
+     *
+     * @param {string} channel - 'bets.big', 'bets.lucky', 'bets.recent' or 'bets.wins'
+     * @param {Object} params - Endpoint params, e.g. { room_id }
+     * @param {Function} handler - Called with (items, { mode }); mode is 'stream' or 'polling'
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.interval=30000] - Polling interval when there is no stream
+     * @param {boolean} [options.initial=false] - Also deliver the items present when subscribing
+     * @param {Function} [options.onError] - Called with errors from fallback polls and catch-up fetches
+     * @param {Function} [options.onStatus] - Called with 'stream' or 'polling' when the mode changes
+     * @param {AbortSignal} [options.signal] - Ends the subscription
+     * @returns {Function} Function that ends the subscription
+     */
+    function subscribe(channel, params, handler, options = {}) {
+      const { endpointFn, model } = resolveChannel(channel);
+      const {
+        interval = 30000,
+        initial = false,
+        onError = null,
+        onStatus = null,
+        signal = null,
+        ...context
+      } = options;
+
+      const seen = new Set();
+      const subscription = { channel, params, mode: null, delivered: 0 };
+      let seeded = false;
+      let source = null;
+      let stopPolling = null;
+      let retryTimer = null;
+      let retryDelay = config.streamRetryDelay;
+
+      // Remember items and pass on the ones not seen before
+      function absorb(items, isNew) {
+        const fresh = items.filter(item => {
+          const id = getItemId(item);
+          if (seen.has(id)) return false;
+          seen.add(id);
+          if (seen.size > MAX_SEEN_ITEMS) seen.delete(seen.values().next().value);
+          return true;
+        });
+
+        if (!isNew || fresh.length === 0 || !subscriptions.has(subscription)) return;
+        subscription.delivered += fresh.length;
+        try {
+          handler(fresh, { mode: subscription.mode });
+        } catch (e) {
+          console.error('[MyPrizeAPI] Subscription handler error:', e);
+        }
+      }
+
+      // The first batch only marks what already exists, unless initial is set
+      function absorbFetched(response) {
+        absorb(extractItems(response), seeded || initial);
+        seeded = true;
+      }
+
+      function setMode(mode) {
+        if (subscription.mode === mode) return;
+        subscription.mode = mode;
+        onStatus?.(mode);
+      }
+
+      function startPolling() {
+        setMode('polling');
+        if (stopPolling) return;
+        stopPolling = poll(endpointFn, [params], absorbFetched, { interval, onError, ...context });
+      }
+
+      function connect() {
+        retryTimer = null;
+        source = openStream(channel, params);
+        if (!source) {
+          startPolling();
+          return;
+        }
+
+        source.onopen = () => {
+          retryDelay = config.streamRetryDelay;
+          stopPolling?.();
+          stopPolling = null;
+          setMode('stream');
+
+          // Catch up on anything that happened while connecting
+          withRequestContext({ ...context, signal }, () => endpointFn(params))
+            .then(absorbFetched)
+            .catch(error => onError?.(error));
+        };
+
+        source.onmessage = event => {
+          const items = parseStreamMessage(event.data, channel, params, model);
+          if (items.length > 0) absorb(items, true);
+        };
+
+        // EventSource reconnects by itself; a closed source is retried here
+        source.onerror = () => {
+          startPolling();
+          if (source.readyState >= 2) reconnect();
+        };
+        source.onclose = () => {
+          startPolling();
+          reconnect();
+        };
+      }
+
+      function reconnect() {
+        if (retryTimer || !subscriptions.has(subscription)) return;
+        closeSource();
+        retryTimer = unrefTimer(setTimeout(connect, retryDelay));
+        retryDelay = Math.min(retryDelay * 2, 60000);
+      }
+
+      function closeSource() {
+        if (!source) return;
+        source.onopen = source.onmessage = source.onerror = source.onclose = null;
+        source.close();
+        source = null;
+      }
+
+      function unsubscribe() {
+        if (!subscriptions.delete(subscription)) return;
+        clearTimeout(retryTimer);
+        closeSource();
+        stopPolling?.();
+        stopPolling = null;
+        signal?.removeEventListener('abort', unsubscribe);
+      }
+
+      subscriptions.add(subscription);
+      signal?.addEventListener('abort', unsubscribe, { once: true });
+      if (signal?.aborted) {
+        unsubscribe();
+      } else {
+        connect();
+      }
+
+      return unsubscribe;
+    }
+
+    /**
+     * Open a push source for a channel
+     * @param {string} channel - Channel name
+     * @param {Object} params - Endpoint params, sent as query parameters
+     * @returns {Object|null} EventSource or WebSocket (or a lookalike), or null to poll
+     */
+    function openStream(channel, params) {
+      const { streamUrl, streamTransport } = config;
+      const mock = config.transport === 'mock';
+      if (!streamUrl && !mock) return null;
+
+      const base = typeof location !== 'undefined' ? location.href : undefined;
+      const url = new URL(streamUrl || 'mock://stream', base);
+      url.searchParams.set('channel', channel);
+      Object.entries(params || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+      });
+
+      try {
+        // The mock backend pushes its own bets, so offline pages get live updates too
+        if (mock) return resolveMock().stream(url.toString());
+        if (typeof streamTransport === 'function') return streamTransport(url.toString());
+
+        if (/^wss?:$/.test(url.protocol)) {
+          return typeof WebSocket !== 'undefined' ? new WebSocket(url.toString()) : null;
+        }
+        return typeof EventSource !== 'undefined' ? new EventSource(url.toString()) : null;
+      } catch (error) {
+        console.warn('[MyPrizeAPI] Could not open stream, polling instead:', error);
+        return null;
+      }
+    }
+
+    /**
+     * Turn a stream message into items for a subscription
+     * @param {string} text - Message data
+     * @param {string} channel - Subscribed channel
+     * @param {Object} params - Subscription params
+     * @param {string} model - Model type of the channel's items
+     * @returns {Array} Items, normalized when config.normalize is on
+     */
+    function parseStreamMessage(text, channel, params, model) {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        return []; // Keep-alives and other non-JSON messages
+      }
+
+      if (message && typeof message === 'object' && 'channel' in message) {
+        if (message.channel !== channel) return [];
+        message = message.data;
+      }
+
+      let items = Array.isArray(message) || message?.results || message?.data
+        ? extractItems(message)
+        : [message].filter(Boolean);
+
+      // A broadcast stream may carry other rooms' items
+      if (params?.room_id) {
+        items = items.filter(item => {
+          const roomId = item.room_id ?? item.roomId;
+          return roomId === undefined || String(roomId) === String(params.room_id);
+        });
+      }
+
+      return config.normalize ? items.map(item => resolveModels().normalize(item, model)) : items;
+    }
+
+    function getItemId(item) {
+      return item?.id ?? item?.bet_id ?? JSON.stringify(item);
+    }
+
+    /**
+     * Get the live subscriptions
+     * @returns {Array} { channel, params, mode, delivered } per subscription
+     */
+    function getSubscriptionStatus() {
+      return Array.from(subscriptions, ({ channel, params, mode, delivered }) => ({
+        channel, params, mode, delivered,
+      }));
+    }
+
+    // =====================
+    // Watchers
+    // =====================
+
+    /**
+     * Watch a list resource and report what changed between refreshes: items
+     * that appeared, items that dropped out, and items whose content changed.
+     * The watcher diffs against the last snapshot it saw, which it keeps in
+     * storage (see config.watchStorage), so changes made while the page was
+     * closed are reported on the first refresh after a reload.
+     *
+     * Events, registered with watcher.on(event, callback):
+     * - 'added' (items), 'removed' (items)
+     * - 'changed' (items, { previous }); previous holds each item's last version, in the same order
+     * - 'update' ({ items, added, removed, changed, previous }); after any of the above, after the
+     *   first fetch, and after the first fetch that follows a failure
+     * - 'error' (error); a scheduled refresh failed
+     *
+     * @param {Function} endpointFn - List endpoint, e.g. MyPrizeAPI.bets.getBig
+     * @param {Object|Array} [params] - Params object, or positional arguments as an array
+     * @param {Object} [options] - Watch options
+     * @param {string|Function} [options.key] - Property (dotted paths allowed) or function that identifies
+     *   an item; defaults to id, then bet_id
+     * @param {number} [options.interval=30000] - Refresh interval in ms; 0 refreshes only on watcher.refresh()
+     * @param {boolean} [options.immediate=true] - Fetch now rather than after the first interval
+     * @param {Function} [options.select] - Pull the items out of a response; defaults to the list's results
+     * @param {Function} [options.equals] - Whether two versions of an item are the same; defaults to comparing JSON
+     * @param {boolean} [options.initial=false] - Report the items present on the very first fetch as added
+     * @param {string|false} [options.id] - Name the snapshot is stored under; defaults to the endpoint name and
+     *   params, false keeps it in memory
+     * @param {string} [options.consumer] - Consumer the refreshes count against
+     * @param {string} [options.priority] - Request priority
+     * @param {AbortSignal} [options.signal] - Stops the watcher
+     * @returns {Object} Watcher with on(event, callback), refresh(), getItems() and stop()
+     */
+    function watch(endpointFn, params, options = {}) {
+      if (typeof endpointFn !== 'function') {
+        throw new TypeError('watch() requires an endpoint function');
+      }
+
+      const {
+        key = null,
+        interval = 30000,
+        immediate = true,
+        select = extractItems,
+        equals = (a, b) => JSON.stringify(a) === JSON.stringify(b),
+        initial = false,
+        id = getWatchId(endpointFn, params),
+        signal = null,
+        ...context
+      } = options;
+      const getKey = createKeyGetter(key);
+      const handlers = { added: new Set(), removed: new Set(), changed: new Set(), update: new Set(), error: new Set() };
+
+      // Last items seen, by key; null until the first fetch or a stored snapshot
+      let snapshot = null;
+      // The next successful fetch reports an update even if nothing changed
+      let resync = true;
+      let stopPolling = null;
+      let stopped = false;
+
+      const loaded = id === false ? Promise.resolve() : loadWatchSnapshot(id).then(entries => {
+        if (entries && !snapshot) snapshot = new Map(entries);
+      });
+
+      function emit(event, ...args) {
+        handlers[event].forEach(callback => {
+          try {
+            callback(...args);
+          } catch (e) {
+            console.error(`[MyPrizeAPI] Watch ${event} handler error:`, e);
+          }
+        });
+      }
+
+      // Diff a response against the snapshot and report the differences
+      async function apply(response) {
+        await loaded;
+        if (stopped) return [];
+
+        const items = select(response) || [];
+        const next = new Map(items.map(item => [getKey(item), item]));
+        const first = snapshot === null;
+        const last = snapshot || new Map();
+        const added = [];
+        const changed = [];
+        const previous = [];
+
+        next.forEach((item, itemKey) => {
+          if (!last.has(itemKey)) {
+            if (!first || initial) added.push(item);
+          } else if (!equals(last.get(itemKey), item)) {
+            changed.push(item);
+            previous.push(last.get(itemKey));
+          }
+        });
+        const removed = Array.from(last.keys()).filter(itemKey => !next.has(itemKey)).map(itemKey => last.get(itemKey));
+        snapshot = next;
+
+        const dirty = added.length > 0 || removed.length > 0 || changed.length > 0;
+        if ((dirty || first) && id !== false) saveWatchSnapshot(id, next);
+        if (!dirty && !first && !resync) return items;
+        resync = false;
+
+        if (added.length > 0) emit('added', added);
+        if (removed.length > 0) emit('removed', removed);
+        if (changed.length > 0) emit('changed', changed, { previous });
+        emit('update', { items, added, removed, changed, previous });
+        return items;
+      }
+
+      function fail(error) {
+        resync = true;
+        emit('error', error);
+      }
+
+      /**
+       * Fetch now and report any differences; failures reject rather than emit 'error'
+       * @returns {Promise<Array>} Current items
+       */
+      async function refresh() {
+        try {
+          const response = await withRequestContext({ ...context, signal }, () => (
+            Array.isArray(params) ? endpointFn(...params) : endpointFn(params)
+          ));
+          return await apply(response);
+        } catch (error) {
+          resync = true;
+          throw error;
+        }
+      }
+
+      function stop() {
+        if (stopped) return;
+        stopped = true;
+        stopPolling?.();
+        stopPolling = null;
+        signal?.removeEventListener('abort', stop);
+        Object.values(handlers).forEach(set => set.clear());
+      }
+
+      const watcher = {
+        on(event, callback) {
+          handlers[event]?.add(callback);
+          return () => handlers[event]?.delete(callback);
+        },
+        refresh,
+        getItems: () => (snapshot ? Array.from(snapshot.values()) : []),
+        stop,
+      };
+
+      signal?.addEventListener('abort', stop, { once: true });
+      if (signal?.aborted) {
+        stop();
+      } else if (interval > 0) {
+        stopPolling = poll(endpointFn, params, (response, { unchanged }) => {
+          if (unchanged && !resync) return;
+          apply(response).catch(fail);
+        }, { interval, immediate, onError: fail, ...context });
+      } else if (immediate) {
+        // Handlers are registered after watch() returns
+        Promise.resolve().then(refresh).catch(fail);
+      }
+
+      return watcher;
+    }
+
+    /**
+     * Build a function that gives an item's identity
+     * @param {string|Function|null} key - Property, dotted path, or function
+     * @returns {Function} item -> key
+     */
+    function createKeyGetter(key) {
+      if (typeof key === 'function') return key;
+      if (!key) return getItemId;
+
+      const path = String(key).split('.');
+      return item => {
+        const value = path.reduce((target, part) => target?.[part], item);
+        return value ?? JSON.stringify(item);
+      };
+    }
+
+    /**
+     * Name a watch snapshot is stored under, from the endpoint's name and its params
+     * @param {Function} endpointFn - Endpoint method
+     * @param {Object|Array} params - Endpoint arguments
+     * @returns {string|false} Snapshot id, or false for functions that aren't endpoint methods
+     */
+    function getWatchId(endpointFn, params) {
+      const namespaces = { rooms, users, igames, missions, bets, content, system, pragmatic };
+
+      for (const [namespace, endpoints] of Object.entries(namespaces)) {
+        const name = Object.keys(endpoints).find(method => endpoints[method] === endpointFn);
+        if (name) return `${namespace}.${name}:${JSON.stringify(params ?? null)}`;
+      }
+      return false;
+    }
+
+    /**
+     * Get the store watch snapshots are kept in, if enabled
+     * @returns {Object|null} Store with async get/set
+     */
+    function getWatchStore() {
+      const { watchStorage } = config;
+      if (!watchStorage) return null;
+      if (typeof watchStorage === 'object') return watchStorage;
+
+      const store = getPersistentStore() || (typeof PersistentCache !== 'undefined' ? PersistentCache : null);
+      if (store) return store;
+
+      // Pages without the persistent cache fall back to plain localStorage
+      try {
+        if (typeof localStorage === 'undefined') return null;
+      } catch (e) {
+        return null; // Storage is blocked (sandboxed iframes)
+      }
+      return {
+        get: async watchKey => JSON.parse(localStorage.getItem(`myprize_${watchKey}`) || 'null'),
+        set: async (watchKey, entry) => localStorage.setItem(`myprize_${watchKey}`, JSON.stringify(entry)),
+      };
+    }
+
+    async function loadWatchSnapshot(id) {
+      try {
+        const stored = await getWatchStore()?.get(`watch:${id}`);
+        return Array.isArray(stored?.data) ? stored.data : null;
+      } catch (e) {
+        console.warn('[MyPrizeAPI] Watch snapshot read failed:', e);
+        return null;
+      }
+    }
+
+    function saveWatchSnapshot(id, snapshot) {
+      const store = getWatchStore();
+      if (!store) return;
+
+      Promise.resolve()
+        .then(() => store.set(`watch:${id}`, { data: Array.from(snapshot), storedAt: Date.now() }))
+        .catch(e => console.warn('[MyPrizeAPI] Watch snapshot write failed:', e));
+    }
+
+    // =====================
+    // Feature Gating
+    // =====================
+
+    /**
+     * What the current audience can use: the feature flags from
+     * system.getFeatures() combined with the features and currencies the
+     * jurisdiction from system.getJurisdiction() allows. Fetched once and
+     * shared by every caller; a failed half is fetched again next time.
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.refresh=false] - Fetch again instead of reusing the last answer
+     * @returns {Promise<Object|null>} { features, allowedFeatures, currencies, region, state, status },
+     *   or null when neither endpoint answered
+     */
+    function getCapabilities({ refresh = false } = {}) {
+      if (capabilities && !refresh) return capabilities;
+
+      const context = { consumer: 'Capabilities', priority: 'high' };
+      const pending = Promise.allSettled([
+        system.getFeatures(context),
+        system.getJurisdiction(context),
+      ]).then(([features, jurisdiction]) => {
+        if (features.status === 'rejected' || jurisdiction.status === 'rejected') {
+          if (capabilities === pending) capabilities = null;
+          if (features.status === 'rejected' && jurisdiction.status === 'rejected') {
+            console.warn('[MyPrizeAPI] Capabilities unavailable:', features.reason);
+            return null;
+          }
+        }
+        return buildCapabilities(
+          features.status === 'fulfilled' ? features.value : null,
+          jurisdiction.status === 'fulfilled' ? jurisdiction.value : null
+        );
+      });
+
+      capabilities = pending;
+      return pending;
+    }
+
+    /**
+     * Check requirements against getCapabilities(). A requirement is a feature
+     * name ('missions', 'igames') or a currency ('currency:SC'). Disabled ones
+     * are switched off by a feature flag; restricted ones aren't allowed in the
+     * current jurisdiction. Everything passes when capabilities can't be
+     * loaded, so an outage of these endpoints doesn't hide every widget.
+     * @param {string[]} [requires] - Requirements
+     * @returns {Promise<Object>} { missing, disabled, restricted, region, state }
+     */
+    async function checkRequirements(requires = []) {
+      const result = { missing: [], disabled: [], restricted: [], region: null, state: null };
+      if (requires.length === 0) return result;
+
+      const caps = await getCapabilities();
+      if (!caps) return result;
+
+      result.region = caps.region;
+      result.state = caps.state;
+      requires.forEach(requirement => {
+        const status = getRequirementStatus(caps, requirement);
+        if (status === 'ok') return;
+        result.missing.push(requirement);
+        result[status].push(requirement);
+      });
+      return result;
+    }
+
+    function buildCapabilities(featuresResponse, jurisdiction) {
+      // { features: { name: true } }, a bare map, or a list of enabled names
+      const flags = featuresResponse && featuresResponse.features !== undefined
+        ? featuresResponse.features
+        : featuresResponse;
+      const features = Array.isArray(flags)
+        ? Object.fromEntries(flags.map(name => [name, true]))
+        : { ...flags };
+
+      return {
+        features,
+        allowedFeatures: Array.isArray(jurisdiction?.features) ? jurisdiction.features : null,
+        currencies: Array.isArray(jurisdiction?.currencies)
+          ? jurisdiction.currencies.map(code => String(code).toUpperCase())
+          : null,
+        region: jurisdiction?.region || null,
+        state: jurisdiction?.state || null,
+        status: jurisdiction?.status || null,
+      };
+    }
+
+    // 'ok', 'disabled' or 'restricted'; lists the jurisdiction doesn't send restrict nothing
+    function getRequirementStatus(caps, requirement) {
+      if (requirement.startsWith('currency:')) {
+        const code = requirement.slice('currency:'.length).toUpperCase();
+        if (caps.features[code.toLowerCase()] === false) return 'disabled';
+        return !caps.currencies || caps.currencies.includes(code) ? 'ok' : 'restricted';
+      }
+
+      if (caps.features[requirement] === false) return 'disabled';
+      return !caps.allowedFeatures || caps.allowedFeatures.includes(requirement) ? 'ok' : 'restricted';
+    }
+
+    // =====================
+    // Pagination
+    // =====================
+
+    /**
+     * Iterate every item of a paged list endpoint, one page at a time.
+     * Pages wait out the local rate limit instead of failing.
+     * @param {Function} endpointFn - List endpoint, e.g. MyPrizeAPI.rooms.list
+     * @param {Object} [params] - Query params; page_size defaults to 100
+     * @param {Object} [options] - Pagination options
+     * @param {number} [options.maxPages=100] - Stop after this many pages
+     * @param {number} [options.reserve=0] - Pause while fewer requests than this remain in the window
+     * @param {string} [options.consumer] - Consumer the pages count against
+     * @param {string} [options.priority] - Request priority
+     * @param {AbortSignal} [options.signal] - Stops paging and cancels the current page
+     * @yields {Object} List items
+     */
+    async function* paginate(endpointFn, params = {}, options = {}) {
+      const { maxPages = 100, reserve = 0, consumer, priority, signal } = options;
+      const pageSize = params.page_size ?? 100;
+      const firstPage = params.page ?? 1;
+
+      for (let page = firstPage; page < firstPage + maxPages; page++) {
+        const response = await fetchPage(endpointFn, { ...params, page, page_size: pageSize }, reserve, {
+          consumer,
+          priority,
+          signal,
+        });
+        const items = extractItems(response);
+
+        yield* items;
+
+        if (items.length < pageSize || isLastPage(response, page, pageSize)) return;
+      }
+    }
+
+    /**
+     * Collect items from a paged list endpoint into an array
+     * @param {Function} endpointFn - List endpoint, e.g. MyPrizeAPI.igames.list
+     * @param {Object} [params] - Query params
+     * @param {Object} [options] - Pagination options (see paginate)
+     * @param {number} [options.maxItems=1000] - Stop once this many items are collected
+     * @returns {Promise<Array>} Collected items
+     */
+    async function collectAll(endpointFn, params = {}, options = {}) {
+      const { maxItems = 1000, ...paginateOptions } = options;
+      const pageParams = { ...params, page_size: params.page_size ?? Math.min(100, maxItems) };
+      const items = [];
+
+      for await (const item of paginate(endpointFn, pageParams, paginateOptions)) {
+        items.push(item);
+        if (items.length >= maxItems) break;
+      }
+
+      return items;
+    }
+
+    /**
+     * Fetch one page, waiting for rate limit budget when necessary
+     * @param {Function} endpointFn - List endpoint
+     * @param {Object} params - Query params including page
+     * @param {number} reserve - Requests to leave for everything else
+     * @param {Object} context - { consumer, priority, signal }
+     * @returns {Promise<any>} Page response
+     */
+    async function fetchPage(endpointFn, params, reserve, context) {
+      for (;;) {
+        const status = getRateLimitStatus();
+        if (status.remaining <= reserve) {
+          await sleep(Math.max(status.resetsIn, config.retryDelay), context.signal);
+          continue;
+        }
+
+        try {
+          return await withRequestContext(context, () => endpointFn(params));
+        } catch (error) {
+          if (error.code !== 'RATE_LIMIT_EXCEEDED') throw error;
+          await sleep(Math.max(error.retryAfter || 0, config.retryDelay), context.signal);
+        }
+      }
+    }
+
+    /**
+     * Pull the item array out of a list response
+     * @param {Object|Array} response - List response
+     * @returns {Array} Items
+     */
+    function extractItems(response) {
+      if (Array.isArray(response)) return response;
+      return response?.results || response?.data || [];
+    }
+
+    /**
+     * Whether a list response says there are no further pages
+     * @param {Object|Array} response - List response
+     * @param {number} page - Current page
+     * @param {number} pageSize - Page size
+     * @returns {boolean}
+     */
+    function isLastPage(response, page, pageSize) {
+      if (!response || Array.isArray(response)) return false;
+      if (response.has_more === false) return true;
+      if (typeof response.total_pages === 'number') return page >= response.total_pages;
+      if (typeof response.total === 'number') return page * pageSize >= response.total;
+      return false;
+    }
+
+    // Helper function
+    /**
+     * Wait, rejecting with ABORTED as soon as the signal fires
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal|null} [signal] - Cancels the wait
+     * @returns {Promise<void>}
+     */
+    function sleep(ms, signal = null) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    // Background timers shouldn't keep a Node process alive on their own
+    function unrefTimer(timer) {
+      if (typeof timer?.unref === 'function') timer.unref();
+      return timer;
+    }
+
+    function createAbortError() {
+      const error = new Error('Request aborted');
+      error.code = 'ABORTED';
+      return error;
+    }
+
+    function throwIfAborted(signal) {
+      if (signal?.aborted) throw createAbortError();
+    }
+
+    // =====================
+    // API Endpoint Methods
+    // =====================
+
+    // Rooms
+    const rooms = {
+      list: (params = {}, options = {}) => request('/rooms', {
+        ...options, name: 'rooms.list', params, model: 'room',
+      }),
+      get: (id, options = {}) => request(`/rooms/${id}`, {
+        ...options, name: 'rooms.get', model: 'room', tags: [`room:${id}`],
+      }),
+      getBySlug: (slug, options = {}) => request(`/rooms/slug/${slug}`, {
+        ...options, name: 'rooms.getBySlug', model: 'room', tags: [`room:${slug}`],
+        // Also cached under the id, so invalidate(`room:${id}`) drops it too
+        responseTags: room => (room?.id != null ? [`room:${room.id}`] : []),
+      }),
+      getBetRoundMetrics: (id, options = {}) => request(`/rooms/${id}/bet_round_metrics`, {
+        ...options, name: 'rooms.getBetRoundMetrics', tags: [`room:${id}`],
+      }),
+      getRecentGames: (id, params = {}, options = {}) => request(`/rooms/${id}/igames/recent`, {
+        ...options, name: 'rooms.getRecentGames', params, model: 'game', tags: [`room:${id}`],
+      }),
+    };
+
+    // Users
+    const users = {
+      get: (id, options = {}) => request(`/user/${id}`, {
+        ...options, name: 'users.get', model: 'user', tags: [`user:${id}`],
+      }),
+      getStats: (params = {}, options = {}) => request('/stats/users', {
+        ...options, name: 'users.getStats', params,
+      }),
+    };
+
+    // iGames (Casino Games)
+    const igames = {
+      list: (params = {}, options = {}) => request('/igames', {
+        ...options, name: 'igames.list', params, model: 'game',
+      }),
+      get: (slugOrId, options = {}) => request(`/igames/slug/${slugOrId}`, {
+        ...options, name: 'igames.get', model: 'game', tags: [`game:${slugOrId}`],
+      }),
+      getPopular: (params = {}, options = {}) => request('/igames/popular', {
+        ...options, name: 'igames.getPopular', params, model: 'game',
+      }),
+      getFilters: (options = {}) => request('/igames/filters', {
+        ...options, name: 'igames.getFilters',
+      }),
+      getForMission: (missionId, params = {}, options = {}) => request(`/igames/mission/${missionId}`, {
+        ...options, name: 'igames.getForMission', params, model: 'game', tags: [`mission:${missionId}`],
+      }),
+      getByProvider: (provider, params = {}, options = {}) => request('/igames', {
+        ...options,
+        name: 'igames.getByProvider',
+        params: { ...params, equals_field: 'provider', equals_value: provider },
+        model: 'game',
+      }),
+    };
+
+    // Missions
+    const missions = {
+      list: (params = {}, options = {}) => request('/missions', {
+        ...options, name: 'missions.list', params, model: 'mission',
+      }),
+      getByRoom: (roomId, params = {}, options = {}) => request('/missions', {
+        ...options,
+        name: 'missions.getByRoom',
+        params: { ...params, room_id: roomId },
+        model: 'mission',
+        tags: [`room:${roomId}`],
+      }),
+      getGames: (missionId, params = {}, options = {}) => request(`/igames/mission/${missionId}`, {
+        ...options, name: 'missions.getGames', params, model: 'game', tags: [`mission:${missionId}`],
+      }),
+      get: (id, options = {}) => request(`/missions/${id}`, {
+        ...options, name: 'missions.get', model: 'mission', tags: [`mission:${id}`],
+      }),
+      getLeaderboard: (missionId, params = {}, options = {}) => request(`/missions/${missionId}/leaderboard`, {
+        ...options, name: 'missions.getLeaderboard', params, tags: [`mission:${missionId}`],
+      }).then(response => normalizeLeaderboard(missionId, response)),
+    };
+
+    // Bets
+    const bets = {
+      getBig: (params = {}, options = {}) => request('/bets/tracked/type/big', {
+        ...options,
+        name: 'bets.getBig',
+        params: formatBetsParams(params),
+        model: 'bet',
+        tags: getBetsTags('big', params),
+      }),
+      getLucky: (params = {}, options = {}) => request('/bets/tracked/type/lucky', {
+        ...options,
+        name: 'bets.getLucky',
+        params: formatBetsParams(params),
+        model: 'bet',
+        tags: getBetsTags('lucky', params),
+      }),
+      getRecent: (params = {}, options = {}) => request('/bets/tracked/type/recent', {
+        ...options,
+        name: 'bets.getRecent',
+        params: formatBetsParams(params),
+        model: 'bet',
+        tags: getBetsTags('recent', params),
+      }),
+      getWins: (params = {}, options = {}) => request('/bets/tracked/type/wins', {
+        ...options,
+        name: 'bets.getWins',
+        params: formatBetsParams(params),
+        model: 'bet',
+        tags: getBetsTags('wins', params),
+      }),
+      getById: (id, options = {}) => request(`/bets/tracked/${id}`, {
+        ...options, name: 'bets.getById', model: 'bet', tags: [`bet:${id}`],
+      }),
+    };
+
+    // Helper to give mission leaderboards one shape whichever field names the API uses
+    function normalizeLeaderboard(missionId, response) {
+      const rows = Array.isArray(response)
+        ? response
+        : response?.results || response?.data || response?.leaderboard || [];
+
+      return {
+        missionId,
+        total: response?.total ?? rows.length,
+        entries: rows.map((row, index) => ({
+          rank: row.rank ?? row.position ?? index + 1,
+          user: {
+            id: row.user?.id ?? row.user_id ?? null,
+            username: row.user?.username ?? row.username ?? 'Anonymous',
+            avatar: row.user?.avatar ?? row.avatar ?? null,
+          },
+          score: Number(row.score ?? row.points ?? row.total ?? row.amount ?? 0),
+          prize: row.prize ?? row.reward ?? null,
+        })),
+      };
+    }
+
+    // Helper to tag a bets feed by type and, when filtered, by room
+    function getBetsTags(type, params) {
+      return params.room_id ? [`bets:${type}`, `room:${params.room_id}`] : [`bets:${type}`];
+    }
+
+    // Helper to convert room_id param to equals_field/equals_value format
+    function formatBetsParams(params) {
+      const { room_id, ...rest } = params;
+      if (room_id) {
+        return { ...rest, equals_field: 'room_id', equals_value: room_id };
+      }
+      return rest;
+    }
+
+    // Content
+    const content = {
+      getBanners: (params = {}, options = {}) => request('/banners', {
+        ...options, name: 'content.getBanners', params, model: 'banner',
+      }),
+      getLivestreams: (params = {}, options = {}) => request('/livestreams', {
+        ...options, name: 'content.getLivestreams', params, model: 'livestream',
+      }),
+    };
+
+    // System
+    const system = {
+      getFeatures: (options = {}) => request('/features', { ...options, name: 'system.getFeatures' }),
+      getJurisdiction: (options = {}) => request('/jurisdiction', {
+        ...options, name: 'system.getJurisdiction',
+      }),
+      health: (options = {}) => request('/jurisdiction', {
+        ...options, name: 'system.health', cache: false, timeout: 5000,
+      }),
+      getPolicies: (jurisdiction, options = {}) => request(`/policies/${jurisdiction}`, {
+        ...options, name: 'system.getPolicies',
+      }),
+    };
+
+    // Pragmatic Jackpots
+    const pragmatic = {
+      getJackpots: (currency, options = {}) => request(`/pragmatic/jackpots/${currency}`, {
+        ...options, name: 'pragmatic.getJackpots', tags: [`jackpots:${currency}`],
+      }),
+    };
+
+    // Configure client
+    function configure(options) {
+      Object.assign(config, options);
+      if ('metricsInterval' in options) updateMetricsTimer();
+      if ('cacheMaxEntries' in options || 'cacheMaxBytes' in options) evictCache();
+      if ('baseUrl' in options || 'transport' in options) capabilities = null;
+      if (options.allowUrlOverrides) applyUrlOverrides();
+    }
+
+    /**
+     * Talk to a local proxy (server/proxy-server.js) or another API host given
+     * as ?api=<base url>, and receive pushed updates from ?stream=<SSE or
+     * WebSocket url>. Only pages that opt in with allowUrlOverrides do this,
+     * so a crafted link can't send an embedding site's traffic elsewhere.
+     */
+    function applyUrlOverrides() {
+      if (typeof window === 'undefined' || !window.location) return;
+
+      const pageParams = new URLSearchParams(window.location.search);
+      if (pageParams.get('api')) configure({ baseUrl: pageParams.get('api') });
+      if (pageParams.get('stream')) configure({ streamUrl: pageParams.get('stream') });
+    }
+
+    // =====================
+    // Record & Replay
+    // =====================
+
+    /**
+     * Record this client's API traffic as a HAR session
+     * (needs src/utils/session-recorder.js)
+     * @param {Object} [options] - Recorder options, see SessionRecorder.record
+     * @returns {Object} Recorder: { stop, getSession, export, download, clear, size }
+     */
+    function record(options) {
+      return resolveRecorder().record(client, options);
+    }
+
+    /**
+     * Answer every request from a recorded session instead of the network.
+     * Clears the memory cache and turns the persistent cache off so live and
+     * replayed data never mix.
+     * @param {Object|string|Promise} session - HAR object, its JSON text, or a promise of either
+     * @param {Object} [options] - { speed, startAt, loop, latency }, see SessionRecorder.createReplayTransport
+     * @returns {Function} The replay transport
+     */
+    function replay(session, options) {
+      const transport = resolveRecorder().createReplayTransport(session, options);
+      clearMemoryCache();
+      configure({ transport, persistentCache: false });
+      return transport;
+    }
+
+    function resolveRecorder() {
+      const recorder = typeof SessionRecorder !== 'undefined'
+        ? SessionRecorder
+        : loadModule('./session-recorder');
+      if (!recorder) {
+        throw new Error('Recording requested but src/utils/session-recorder.js is not loaded');
+      }
+      return recorder;
+    }
+
+    // Public API
+    const client = {
+      request,
+      configure,
+      createClient,
+      clearCache,
+      invalidate,
+      getCacheStatus,
+      getRateLimitStatus,
+      on,
+      use,
+      poll,
+      getPollStatus,
+      subscribe,
+      getSubscriptionStatus,
+      watch,
+      getCapabilities,
+      checkRequirements,
+      paginate,
+      collectAll,
+      withRequestContext,
+      getConnectionState,
+      getMetrics,
+      resetMetrics,
+      record,
+      replay,
+      getDriftLog,
+      exportDriftLog,
+      clearDriftLog,
+
+      // Namespaced endpoints
+      rooms,
+      users,
+      igames,
+      missions,
+      bets,
+      content,
+      system,
+      pragmatic,
+    };
 
-  // Content
-  const content = {
-    getBanners: (params = {}) => request('/banners', { params }),
-    getLivestreams: (params = {}) => request('/livestreams', { params }),
-  };
-
-  // System
-  const system = {
-    getFeatures: () => request('/features'),
-    getJurisdiction: () => request('/jurisdiction'),
-    health: () => request('/jurisdiction', { cache: false, timeout: 5000 }),
-    getPolicies: (jurisdiction) => request(`/policies/${jurisdiction}`),
-  };
-
-  // Pragmatic Jackpots
-  const pragmatic = {
-    getJackpots: (currency) => request(`/pragmatic/jackpots/${currency}`),
-  };
-
-  // Configure client
-  function configure(options) {
-    Object.assign(config, options);
+    return client;
   }
 
-  // Public API
-  return {
-    request,
-    configure,
-    clearCache,
-    getRateLimitStatus,
-    on,
-
-    // Namespaced endpoints
-    rooms,
-    users,
-    igames,
-    missions,
-    bets,
-    content,
-    system,
-    pragmatic,
-  };
+  // The global object is the default client
+  return createClient();
 })();
 
 // Export for module systems
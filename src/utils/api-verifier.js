@@ -47,8 +47,9 @@ const APIVerifier = (() => {
       required: ['results'],
     },
     bet: {
-      required: ['id'],
-      optional: ['amount', 'currency', 'multiplier', 'game', 'user', 'room'],
+      // Tracked bets are keyed by bet_id, not id
+      required: ['bet_id'],
+      optional: ['amount', 'amount_won', 'currency', 'multiplier', 'igame', 'username', 'room_id', 'created_at'],
     },
     betList: {
       required: ['data'],
@@ -66,6 +67,27 @@ const APIVerifier = (() => {
     },
   };
 
+  // Schemas for MyPrizeAPI endpoint methods, used by runtime drift detection.
+  // `list` checks the envelope, `item` the first record (or the whole response).
+  const endpointSchemas = {
+    'rooms.list': { list: 'roomList', item: 'room' },
+    'rooms.get': { item: 'room' },
+    'rooms.getBySlug': { item: 'room' },
+    'users.get': { item: 'user' },
+    'igames.list': { list: 'igameList', item: 'igame' },
+    'igames.get': { item: 'igame' },
+    'igames.getPopular': { list: 'igameList', item: 'igame' },
+    'igames.getByProvider': { list: 'igameList', item: 'igame' },
+    'missions.list': { list: 'missionList', item: 'mission' },
+    'missions.getByRoom': { list: 'missionList', item: 'mission' },
+    'missions.get': { item: 'mission' },
+    'bets.getBig': { item: 'bet' },
+    'bets.getLucky': { item: 'bet' },
+    'bets.getRecent': { item: 'bet' },
+    'bets.getWins': { item: 'bet' },
+    'bets.getById': { item: 'bet' },
+  };
+
   // Mock data for development/testing when API is unreachable
   const mockData = {
     rooms: {
@@ -275,6 +297,91 @@ const APIVerifier = (() => {
     };
   }
 
+  /**
+   * Compare a live response with its schema and with the shape seen earlier
+   * for the same endpoint. Fields are compared one level of nesting deep
+   * (e.g. `igame.name`); null is compatible with any type.
+   * @param {string} name - Endpoint method name, e.g. 'rooms.get'
+   * @param {any} data - Response data
+   * @param {Object|null} baseline - Shape returned by an earlier call, or null
+   * @returns {Object} { missing, added, retyped, shape } - shape is the baseline to pass next time
+   */
+  function detectDrift(name, data, baseline) {
+    const { list, item } = endpointSchemas[name] || {};
+    const missing = [];
+    const added = [];
+    const retyped = [];
+
+    const isList = Array.isArray(data) || Boolean(list);
+    if (list && data && !Array.isArray(data)) {
+      missing.push(...schemas[list].required.filter(field => !(field in data)));
+    }
+
+    const records = Array.isArray(data) ? data : data?.results || data?.data;
+    const record = isList ? records?.[0] : data;
+    if (!record || typeof record !== 'object') {
+      return { missing, added, retyped, shape: baseline };
+    }
+
+    const shape = describeShape(record);
+    const itemSchema = schemas[item];
+    if (itemSchema) {
+      missing.push(...itemSchema.required.filter(field => !(field in shape)));
+    }
+
+    if (!baseline) {
+      return { missing, added, retyped, shape };
+    }
+
+    for (const [field, type] of Object.entries(baseline)) {
+      // A missing parent already covers its children
+      const parent = field.includes('.') ? field.split('.')[0] : null;
+      if (!(field in shape)) {
+        if ((!parent || parent in shape) && !missing.includes(field)) missing.push(field);
+      } else if (type !== shape[field] && type !== 'null' && shape[field] !== 'null') {
+        retyped.push({ field, expected: type, actual: shape[field] });
+      }
+    }
+
+    for (const field of Object.keys(shape)) {
+      if (!(field in baseline)) added.push(field);
+    }
+
+    // Learn types for fields that were only ever null so far
+    const learned = { ...baseline };
+    for (const [field, type] of Object.entries(shape)) {
+      if (learned[field] === 'null') learned[field] = type;
+    }
+
+    return { missing, added, retyped, shape: learned };
+  }
+
+  /**
+   * Map a record's fields (and its nested objects' fields) to their types
+   * @param {Object} record - Response record
+   * @returns {Object} Field path to type name
+   */
+  function describeShape(record) {
+    const shape = {};
+
+    for (const [key, value] of Object.entries(record)) {
+      shape[key] = typeName(value);
+      if (shape[key] === 'object') {
+        for (const [child, childValue] of Object.entries(value)) {
+          shape[`${key}.${child}`] = typeName(childValue);
+        }
+      }
+    }
+
+    return shape;
+  }
+
+  function typeName(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
   /**
    * Test a single endpoint
    * @param {string} name - Test name
@@ -572,7 +679,9 @@ const APIVerifier = (() => {
     getResults,
     generateReport,
     configure,
+    detectDrift,
     schemas,
+    endpointSchemas,
     mockData,
   };
 })();
@@ -0,0 +1,598 @@
+/**
+ * MyPrize Streamer Toolkit - Mock Transport
+ * Fixture-backed stand-in for fetch that answers every MyPrizeAPI endpoint
+ * so widgets and demos can run fully offline
+ * @module MockTransport
+ */
+
+const MockTransport = (() => {
+  'use strict';
+
+  // Configuration
+  const config = {
+    latency: 120,      // Simulated network delay in ms
+    jitter: 80,        // Random extra delay in ms
+    errorRate: 0,      // 0-1 chance of answering with a 503
+    betInterval: 15000, // A new tracked bet "happens" this often (ms)
+  };
+
+  // =====================
+  // Fixtures
+  // =====================
+
+  const rooms = [
+    {
+      id: 'mock-room-001',
+      name: 'Demo Room',
+      url_path: 'demo-room',
+      description: 'A demonstration room for offline development',
+      stream_status: 'online',
+      stream_title: 'Bonus hunt - road to 1000x',
+      stream_thumbnail: null,
+      avatar: null,
+      current_user_count: 42,
+      creator_username: 'DemoStreamer',
+      is_creator_verified: true,
+      follower_count: 1250,
+      last_igame_played_id: 'sweet-bonanza',
+      last_igame_played_name: 'Sweet Bonanza',
+      creator_social_accounts: [],
+    },
+    {
+      id: 'mock-room-002',
+      name: 'Test Casino',
+      url_path: 'test-casino',
+      description: 'Late night slots',
+      stream_status: 'online',
+      stream_title: 'Chill spins with chat',
+      stream_thumbnail: null,
+      avatar: null,
+      current_user_count: 156,
+      creator_username: 'TestUser',
+      is_creator_verified: false,
+      follower_count: 860,
+      last_igame_played_id: 'gates-of-olympus',
+      last_igame_played_name: 'Gates of Olympus',
+      creator_social_accounts: [],
+    },
+    {
+      id: 'mock-room-003',
+      name: 'Rehearsal Stage',
+      url_path: 'rehearsal',
+      description: 'Offline rehearsal room',
+      stream_status: 'offline',
+      stream_title: '',
+      stream_thumbnail: null,
+      avatar: null,
+      current_user_count: 3,
+      creator_username: 'StageHand',
+      is_creator_verified: true,
+      follower_count: 95,
+      last_igame_played_id: null,
+      last_igame_played_name: null,
+      creator_social_accounts: [],
+    },
+  ];
+
+  const games = [
+    { id: 'game-001', name: 'Sweet Bonanza', provider: 'pragmatic', url_path: 'sweet-bonanza', image: null, category: 'Slots', multiplier_max: 21100 },
+    { id: 'game-002', name: 'Gates of Olympus', provider: 'pragmatic', url_path: 'gates-of-olympus', image: null, category: 'Slots', multiplier_max: 5000 },
+    { id: 'game-003', name: 'Big Bass Bonanza', provider: 'pragmatic', url_path: 'big-bass-bonanza', image: null, category: 'Slots', multiplier_max: 2100 },
+    { id: 'game-004', name: 'Wanted Dead or a Wild', provider: 'hacksaw', url_path: 'wanted-dead-or-a-wild', image: null, category: 'Slots', multiplier_max: 12500 },
+    { id: 'game-005', name: 'Mental', provider: 'nolimit', url_path: 'mental', image: null, category: 'Slots', multiplier_max: 66666 },
+    { id: 'game-006', name: 'Book of Dead', provider: 'playngo', url_path: 'book-of-dead', image: null, category: 'Slots', multiplier_max: 5000 },
+    { id: 'game-007', name: 'Lightning Roulette', provider: 'evolution', url_path: 'lightning-roulette', image: null, category: 'Live', multiplier_max: 500 },
+    { id: 'game-008', name: 'Sugar Rush', provider: 'pragmatic', url_path: 'sugar-rush', image: null, category: 'Slots', multiplier_max: 5000 },
+  ];
+
+  const missions = [
+    {
+      id: 'mock-mission-001',
+      name: 'First Steps',
+      status: 'active',
+      room_id: 'mock-room-001',
+      progress: 3,
+      total: 5,
+      reward: '500 GC',
+      details: { description: 'Complete your first five bets' },
+      dates: { start: '2026-01-01T00:00:00Z', end: '2026-12-31T23:59:59Z' },
+      prizes: [
+        { position: 1, reward: '500 GC' },
+        { position: 2, reward: '250 GC' },
+        { position: 3, reward: '100 GC' },
+      ],
+      images: { icon: null },
+    },
+    {
+      id: 'mock-mission-002',
+      name: 'High Roller',
+      status: 'active',
+      room_id: 'mock-room-001',
+      progress: 64,
+      total: 100,
+      reward: '25 SC',
+      details: { description: 'Place 100 bets' },
+      dates: { start: '2026-01-01T00:00:00Z', end: '2026-12-31T23:59:59Z' },
+      prizes: [
+        { position: 1, reward: '25 SC' },
+        { position: 2, reward: '10 SC' },
+        { position: 3, reward: '5 SC' },
+      ],
+      images: { icon: null },
+    },
+    {
+      id: 'mock-mission-003',
+      name: 'Bonus Hunter',
+      status: 'active',
+      room_id: 'mock-room-002',
+      progress: 1,
+      total: 10,
+      reward: '10 SC',
+      details: { description: 'Trigger ten bonus rounds' },
+      dates: { start: '2026-01-01T00:00:00Z', end: '2026-12-31T23:59:59Z' },
+      prizes: [
+        { position: 1, reward: '10 SC' },
+        { position: 2, reward: '5 SC' },
+      ],
+      images: { icon: null },
+    },
+  ];
+
+  const usernames = ['LuckyPlayer', 'WinStreak', 'BigFish', 'SpinQueen', 'ReelDeal', 'MaxBet', 'NightOwl', 'JackpotJoe'];
+
+  const banners = [
+    { id: 'banner-001', title: 'Welcome Bonus', link: '/promotions/welcome', images: { desktop: null, mobile: null } },
+    { id: 'banner-002', title: 'Weekend Races', link: '/promotions/races', images: { desktop: null, mobile: null } },
+  ];
+
+  const jackpotTiers = [
+    { id: 'mini', name: 'Mini', base: 100, rate: 0.02, cycle: 600000 },
+    { id: 'minor', name: 'Minor', base: 1000, rate: 0.05, cycle: 1800000 },
+    { id: 'major', name: 'Major', base: 10000, rate: 0.1, cycle: 7200000 },
+    { id: 'grand', name: 'Grand', base: 100000, rate: 0.25, cycle: 86400000 },
+  ];
+
+  const features = {
+    rooms: true,
+    missions: true,
+    igames: true,
+    livestreams: true,
+    banners: true,
+    jackpots: true,
+    sc: true,
+  };
+
+  const jurisdiction = {
+    status: 'ok',
+    region: 'US',
+    state: 'NY',
+    features: Object.keys(features),
+    currencies: ['GC', 'SC'],
+  };
+
+  // =====================
+  // Generated data
+  // =====================
+
+  /**
+   * Small deterministic PRNG so generated data is stable per seed
+   * @param {number} seed - Seed value
+   * @returns {Function} Random number generator returning [0, 1)
+   */
+  function seededRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+      t += 0x6D2B79F5;
+      let r = Math.imul(t ^ (t >>> 15), 1 | t);
+      r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Build the tracked bet that happened in a given time slot
+   * @param {number} slot - Time slot index
+   * @returns {Object} Bet in the shape the API returns
+   */
+  function createBet(slot) {
+    const random = seededRandom(slot);
+    const game = games[Math.floor(random() * games.length)];
+    const room = rooms[Math.floor(random() * 2)];
+    const amount = Math.round((0.2 + random() * 20) * 100) / 100;
+    const multiplier = Math.round((1 + random() * 150) * 10) / 10;
+
+    return {
+      bet_id: `mock-bet-${slot}`,
+      room_id: room.id,
+      username: usernames[Math.floor(random() * usernames.length)],
+      avatar: null,
+      amount,
+      amount_won: Math.round(amount * multiplier * 100) / 100,
+      multiplier,
+      currency: random() > 0.5 ? 'SC' : 'GC',
+      igame: { name: game.name, image: game.image, url_path: game.url_path, provider: game.provider },
+      created_at: new Date(slot * config.betInterval).toISOString(),
+    };
+  }
+
+  // Smallest multiplier that lands a bet in each feed
+  const BET_THRESHOLDS = { big: 10, lucky: 50, wins: 1.5, recent: 0 };
+
+  /**
+   * Get the most recent tracked bets of a type
+   * @param {string} type - big, lucky, recent or wins
+   * @param {number} count - Number of bets to return
+   * @returns {Array} Bets, newest first
+   */
+  function getBets(type, count) {
+    const minMultiplier = BET_THRESHOLDS[type] ?? 0;
+    const bets = [];
+    let slot = Math.floor(Date.now() / config.betInterval);
+
+    // Walk back through time slots until enough bets qualify
+    for (let scanned = 0; bets.length < count && scanned < count * 20; scanned++, slot--) {
+      const bet = createBet(slot);
+      if (bet.multiplier >= minMultiplier) {
+        bets.push(bet);
+      }
+    }
+
+    return bets;
+  }
+
+  /**
+   * Current jackpot amounts; each tier climbs and resets on its own cycle
+   * @param {string} currency - Jackpot currency
+   * @returns {Object} Jackpot payload
+   */
+  function getJackpots(currency) {
+    const now = Date.now();
+    return {
+      currency,
+      jackpots: jackpotTiers.map(tier => ({
+        id: tier.id,
+        name: tier.name,
+        amount: Math.round((tier.base + ((now % tier.cycle) / 1000) * tier.rate) * 100) / 100,
+        currency,
+      })),
+    };
+  }
+
+  /**
+   * Mission standings; players climb at different rates so ranks shift
+   * @param {string} missionId - Mission ID
+   * @returns {Array|null} Ranked entries, or null for unknown missions
+   */
+  function getMissionStandings(missionId) {
+    const index = missions.findIndex(m => m.id === missionId);
+    if (index === -1) return null;
+
+    const mission = missions[index];
+    const random = seededRandom(index + 1);
+    const elapsed = (Date.now() % 3600000) / 1000;
+
+    return usernames
+      .map((username, i) => ({
+        user: { id: `mock-user-${i + 1}`, username, avatar: null },
+        score: Math.round(random() * 5000 + elapsed * random() * 2),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map((entry, i) => ({
+        rank: i + 1,
+        ...entry,
+        prize: mission.prizes.find(p => p.position === i + 1)?.reward ?? null,
+      }));
+  }
+
+  function getRoom(idOrSlug) {
+    const room = rooms.find(r => r.id === idOrSlug || r.url_path === idOrSlug);
+    if (room) return room;
+
+    // Any slug resolves offline, so ?room=<anything> works in rehearsals
+    return {
+      ...rooms[0],
+      id: `mock-room-${idOrSlug}`,
+      name: idOrSlug,
+      url_path: idOrSlug,
+    };
+  }
+
+  function getGame(slugOrId) {
+    return games.find(g => g.url_path === slugOrId || g.id === slugOrId) || null;
+  }
+
+  function getLivestreams() {
+    return rooms.map(room => ({
+      id: room.id,
+      room_id: room.id,
+      title: room.stream_title || room.name,
+      url_path: room.url_path,
+      thumbnail: room.stream_thumbnail,
+      is_live: room.stream_status === 'online',
+      viewer_count: room.current_user_count,
+      creator_username: room.creator_username,
+      is_creator_verified: room.is_creator_verified,
+      started_at: new Date(Date.now() - 45 * 60000).toISOString(),
+    }));
+  }
+
+  // =====================
+  // Query helpers
+  // =====================
+
+  /**
+   * Apply the API's standard filter and paging params to a list
+   * @param {Array} items - Full list
+   * @param {URLSearchParams} query - Request query
+   * @returns {Object} Paged list payload
+   */
+  function paginate(items, query) {
+    let results = items;
+
+    const equalsField = query.get('equals_field');
+    if (equalsField) {
+      const value = query.get('equals_value');
+      results = results.filter(item => String(item[equalsField]) === value);
+    }
+
+    const roomId = query.get('room_id');
+    if (roomId) {
+      results = results.filter(item => item.room_id === roomId);
+    }
+
+    const searchField = query.get('search_field');
+    const searchValue = query.get('search_value');
+    if (searchField && searchValue) {
+      results = results.filter(item =>
+        String(item[searchField] ?? '').toLowerCase().includes(searchValue.toLowerCase())
+      );
+    }
+
+    const page = Math.max(1, parseInt(query.get('page') || '1', 10));
+    const pageSize = Math.max(1, parseInt(query.get('page_size') || '20', 10));
+    const start = (page - 1) * pageSize;
+
+    return {
+      results: results.slice(start, start + pageSize),
+      page,
+      page_size: pageSize,
+      total: results.length,
+    };
+  }
+
+  function filterBets(bets, query) {
+    const equalsField = query.get('equals_field');
+    if (!equalsField) return bets;
+    const value = query.get('equals_value');
+    return bets.filter(bet => String(bet[equalsField]) === value);
+  }
+
+  // =====================
+  // Routing
+  // =====================
+
+  // Routes are matched against the end of the path, so any baseUrl works
+  const routes = [
+    [/\/rooms$/, (m, q) => paginate(rooms, q)],
+    [/\/rooms\/slug\/([^/]+)$/, (m) => getRoom(m[1])],
+    [/\/rooms\/([^/]+)\/bet_round_metrics$/, (m) => ({
+      room_id: getRoom(m[1]).id,
+      round_count: 12,
+      total_bets: 348,
+      total_wagered: 1520.5,
+      total_won: 1488.25,
+      biggest_multiplier: 412.5,
+    })],
+    [/\/rooms\/([^/]+)\/igames\/recent$/, (m, q) => paginate(games.slice(0, 5), q)],
+    [/\/rooms\/([^/]+)$/, (m) => getRoom(m[1])],
+    [/\/user\/([^/]+)$/, (m) => ({
+      id: m[1],
+      username: usernames[0],
+      avatar: null,
+      joined_at: '2025-06-01T12:00:00Z',
+      is_referred_by_caller: false,
+    })],
+    [/\/stats\/users$/, () => ({ activeUserCount: 1247, totalUserCount: 58210 })],
+    [/\/igames$/, (m, q) => paginate(games, q)],
+    [/\/igames\/popular$/, (m, q) => paginate(games.slice(0, 4), q)],
+    [/\/igames\/filters$/, () => ({
+      providers: [...new Set(games.map(g => g.provider))],
+      categories: [...new Set(games.map(g => g.category))],
+    })],
+    [/\/igames\/slug\/([^/]+)$/, (m) => getGame(m[1])],
+    [/\/igames\/mission\/([^/]+)$/, (m, q) => paginate(games.slice(0, 3), q)],
+    [/\/missions$/, (m, q) => paginate(missions, q)],
+    [/\/missions\/([^/]+)\/leaderboard$/, (m, q) => {
+      const standings = getMissionStandings(m[1]);
+      return standings && { mission_id: m[1], ...paginate(standings, q) };
+    }],
+    [/\/missions\/([^/]+)$/, (m) => missions.find(mission => mission.id === m[1]) || null],
+    [/\/bets\/tracked\/type\/(big|lucky|recent|wins)$/, (m, q) =>
+      filterBets(getBets(m[1], parseInt(q.get('page_size') || '20', 10)), q)],
+    [/\/bets\/tracked\/([^/]+)$/, (m) => {
+      const slot = parseInt(m[1].replace('mock-bet-', ''), 10);
+      return Number.isNaN(slot) ? null : createBet(slot);
+    }],
+    [/\/banners$/, (m, q) => paginate(banners, q)],
+    [/\/livestreams$/, (m, q) => paginate(getLivestreams(), q)],
+    [/\/features$/, () => ({ features: { ...features } })],
+    [/\/jurisdiction$/, () => ({ ...jurisdiction })],
+    [/\/policies\/([^/]+)$/, (m) => ({
+      jurisdiction: m[1],
+      policies: [{ id: 'terms', title: 'Terms of Service', url: '/terms' }],
+    })],
+    [/\/pragmatic\/jackpots\/([^/]+)$/, (m) => getJackpots(m[1].toUpperCase())],
+  ];
+
+  /**
+   * Resolve a request path to fixture data
+   * @param {string} path - URL path
+   * @param {URLSearchParams} query - URL query
+   * @returns {*} Response body, or undefined when no route matches
+   */
+  function resolve(path, query) {
+    for (const [pattern, handler] of routes) {
+      const match = path.match(pattern);
+      if (match) {
+        return handler(match, query);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Create a fetch Response for a JSON body
+   * @param {*} body - Response body
+   * @param {number} status - HTTP status
+   * @param {Object} [headers] - Extra response headers
+   * @returns {Response} Response
+   */
+  function createResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+      status,
+      statusText: status === 200 ? 'OK' : 'Error',
+      headers: { 'Content-Type': 'application/json', ...headers },
+    });
+  }
+
+  /**
+   * fetch-compatible transport
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch init options
+   * @returns {Promise<Response>} Mock response
+   */
+  async function transport(url, init = {}) {
+    const delay = config.latency + Math.random() * config.jitter;
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay);
+      init.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      }, { once: true });
+    });
+
+    if (config.errorRate > 0 && Math.random() < config.errorRate) {
+      return createResponse({ error: 'Mock service unavailable' }, 503);
+    }
+
+    const { pathname, searchParams } = new URL(url);
+    const body = resolve(pathname.replace(/\/+$/, ''), searchParams);
+
+    if (body === undefined || body === null) {
+      return createResponse({ error: `No mock fixture for ${pathname}` }, 404);
+    }
+
+    // Answer conditional requests like a real server would
+    const etag = createEtag(JSON.stringify(body));
+    if (getHeader(init.headers, 'If-None-Match') === etag) {
+      return new Response(null, { status: 304, statusText: 'Not Modified', headers: { ETag: etag } });
+    }
+
+    return createResponse(body, 200, { ETag: etag });
+  }
+
+  /**
+   * Weak ETag for a response body (djb2 hash)
+   * @param {string} text - Response body
+   * @returns {string} ETag
+   */
+  function createEtag(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `W/"${(hash >>> 0).toString(16)}"`;
+  }
+
+  function getHeader(headers = {}, name) {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : null;
+  }
+
+  /**
+   * EventSource-like push source for MyPrizeAPI.subscribe(): sends each
+   * tracked bet on its channel the moment it happens
+   * @param {string} url - Stream URL with ?channel=bets.<type>[&room_id=...]
+   * @returns {Object} { readyState, onopen, onmessage, onerror, close }
+   */
+  function stream(url) {
+    const { searchParams } = new URL(url);
+    const type = (searchParams.get('channel') || '').replace(/^bets\./, '');
+    const roomId = searchParams.get('room_id');
+    let slot = Math.floor(Date.now() / config.betInterval);
+    let timer = null;
+
+    const source = {
+      readyState: 0, // CONNECTING
+      onopen: null,
+      onmessage: null,
+      onerror: null,
+      close() {
+        clearTimeout(connectTimer);
+        clearInterval(timer);
+        source.readyState = 2; // CLOSED
+      },
+    };
+
+    const connectTimer = setTimeout(() => {
+      if (!(type in BET_THRESHOLDS)) {
+        source.readyState = 2;
+        source.onerror?.({ type: 'error' });
+        return;
+      }
+
+      source.readyState = 1; // OPEN
+      source.onopen?.({ type: 'open' });
+
+      timer = setInterval(() => {
+        const current = Math.floor(Date.now() / config.betInterval);
+        for (; slot < current; slot++) {
+          const bet = createBet(slot + 1);
+          if (bet.multiplier < BET_THRESHOLDS[type]) continue;
+          if (roomId && bet.room_id !== roomId) continue;
+          source.onmessage?.({ type: 'message', data: JSON.stringify(bet) });
+        }
+      }, Math.min(1000, config.betInterval));
+    }, config.latency);
+
+    return source;
+  }
+
+  /**
+   * Configure the mock transport
+   * @param {Object} options - Configuration options
+   */
+  function configure(options) {
+    Object.assign(config, options);
+  }
+
+  // Public API
+  return {
+    fetch: transport,
+    stream,
+    resolve,
+    configure,
+    fixtures: {
+      rooms,
+      games,
+      missions,
+      banners,
+      features,
+      jurisdiction,
+    },
+  };
+})();
+
+// Pages opt into offline mode with ?mock=true
+if (typeof window !== 'undefined' && typeof MyPrizeAPI !== 'undefined' &&
+    new URLSearchParams(window.location.search).get('mock') === 'true') {
+  MyPrizeAPI.configure({ transport: 'mock' });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MockTransport;
+}
@@ -0,0 +1,363 @@
+/**
+ * MyPrize Streamer Toolkit - Domain Models
+ * Converts raw API responses into stable Bet, Room, Game, Mission, User, Livestream and Banner objects.
+ * Every normalizer also accepts its own output, so data can be normalized twice safely.
+ * @module MyPrizeModels
+ */
+
+const MyPrizeModels = (() => {
+  'use strict';
+
+  /**
+   * @typedef {Object} Game
+   * @property {string|null} id - Game ID (falls back to reference ID or slug)
+   * @property {string} name - Display name
+   * @property {string} provider - Studio name
+   * @property {string|null} image - Thumbnail URL
+   * @property {string|null} urlPath - Slug on myprize.us
+   * @property {string} category - e.g. 'Slots', 'Live'
+   * @property {number} multiplierMin - Lowest multiplier
+   * @property {number} multiplierMax - Highest multiplier
+   * @property {number} popularity - Play count or popularity score
+   */
+
+  /**
+   * @typedef {Object} Bet
+   * @property {string|null} id - Bet ID
+   * @property {string|null} roomId - Room the bet was placed in
+   * @property {string} username - Player username
+   * @property {string|null} avatar - Player avatar URL
+   * @property {number} amount - Amount wagered
+   * @property {number} amountWon - Amount paid out (the wager when the API omits it)
+   * @property {number|null} multiplier - Payout multiplier
+   * @property {string|null} currency - 'GC' or 'SC'
+   * @property {Game} game - Game the bet was placed on
+   * @property {string|null} createdAt - ISO timestamp
+   */
+
+  /**
+   * @typedef {Object} Room
+   * @property {string|null} id - Room ID
+   * @property {string|null} slug - Room URL slug
+   * @property {string} name - Room name
+   * @property {string|null} avatar - Room avatar URL
+   * @property {string|null} description - Room description
+   * @property {string|null} creatorUsername - Streamer username
+   * @property {boolean} isCreatorVerified - Verified streamer
+   * @property {string|null} streamStatus - 'online' or 'offline'
+   * @property {boolean} isLive - Whether the stream is online
+   * @property {string|null} streamTitle - Current stream title
+   * @property {string|null} streamThumbnail - Stream thumbnail URL
+   * @property {number} viewerCount - Current viewers
+   * @property {number|null} followerCount - Followers
+   * @property {string|null} lastGameId - Last game played in the room
+   * @property {string|null} lastGameName - Name of that game
+   * @property {Array} socialAccounts - Streamer social accounts
+   */
+
+  /**
+   * @typedef {Object} Mission
+   * @property {string|null} id - Mission ID
+   * @property {string} name - Mission name
+   * @property {string} description - Mission description
+   * @property {string|null} status - e.g. 'active'
+   * @property {string|null} roomId - Room the mission belongs to
+   * @property {number} progress - Current progress
+   * @property {number} total - Progress target
+   * @property {string|null} reward - Reward label
+   * @property {string|null} icon - Icon URL
+   * @property {string|null} startsAt - ISO start date
+   * @property {string|null} endsAt - ISO end date
+   * @property {Array<{position: number, reward: string}>} prizes - Prizes by finishing position
+   */
+
+  /**
+   * @typedef {Object} User
+   * @property {string|null} id - User ID
+   * @property {string} username - Username
+   * @property {string|null} avatar - Avatar URL
+   * @property {string|null} joinedAt - ISO join date
+   * @property {string|number|null} level - Level or rank
+   * @property {Object} stats - { totalBets, totalWins, biggestWin, favoriteGame, winRate }
+   * @property {Array<{id, name, icon, description}>} badges - Earned badges
+   */
+
+  /**
+   * @typedef {Object} Livestream
+   * @property {string|null} id - Livestream ID
+   * @property {string|null} roomId - Room the stream is in
+   * @property {string|null} roomSlug - That room's URL slug
+   * @property {string} title - Stream title
+   * @property {string|null} thumbnail - Thumbnail URL
+   * @property {boolean} isLive - Whether the stream is on air
+   * @property {number} viewerCount - Current viewers
+   * @property {string|null} creatorUsername - Streamer username
+   * @property {boolean} isCreatorVerified - Verified streamer
+   * @property {string|null} startedAt - ISO start time
+   */
+
+  /**
+   * @typedef {Object} Banner
+   * @property {string|null} id - Banner ID
+   * @property {string} title - Banner title
+   * @property {string|null} link - Where the banner points
+   * @property {string|null} desktopImage - Wide image URL
+   * @property {string|null} mobileImage - Narrow image URL
+   */
+
+  /**
+   * First present value among several field paths
+   * @param {Object} raw - Source object
+   * @param {...string} paths - Field names or dotted paths, in order of preference
+   * @returns {any} Value, or undefined when none is set
+   */
+  function pick(raw, ...paths) {
+    for (const path of paths) {
+      const value = path.split('.').reduce((obj, key) => obj?.[key], raw);
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+  }
+
+  function toNumber(value, fallback = 0) {
+    const number = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(number) ? number : fallback;
+  }
+
+  /**
+   * Normalize a game
+   * @param {Object} raw - Raw game
+   * @returns {Game}
+   */
+  function game(raw = {}) {
+    return {
+      id: pick(raw, 'id', 'game_id', 'reference_id', 'url_path', 'urlPath') ?? null,
+      name: pick(raw, 'name', 'title') ?? 'Unknown Game',
+      provider: pick(raw, 'provider', 'studio') ?? 'Unknown',
+      image: pick(raw, 'image', 'thumbnail', 'icon', 'image_url', 'logo') ?? null,
+      urlPath: pick(raw, 'urlPath', 'url_path') ?? null,
+      category: pick(raw, 'category', 'type') ?? 'Slots',
+      multiplierMin: toNumber(pick(raw, 'multiplierMin', 'multiplier_min', 'min_multiplier'), 1),
+      multiplierMax: toNumber(pick(raw, 'multiplierMax', 'multiplier_max', 'max_multiplier'), 100),
+      popularity: toNumber(pick(raw, 'popularity', 'play_count')),
+    };
+  }
+
+  /**
+   * Normalize a tracked bet
+   * @param {Object} raw - Raw bet
+   * @returns {Bet}
+   */
+  function bet(raw = {}) {
+    const amount = toNumber(pick(raw, 'amount'));
+    const multiplier = pick(raw, 'multiplier');
+
+    return {
+      id: pick(raw, 'bet_id', 'id') ?? null,
+      roomId: pick(raw, 'roomId', 'room_id') ?? null,
+      username: pick(raw, 'username', 'user.username') ?? 'Anonymous',
+      avatar: pick(raw, 'avatar', 'user.avatar') ?? null,
+      amount,
+      amountWon: toNumber(pick(raw, 'amountWon', 'amount_won', 'payout'), amount),
+      multiplier: multiplier === undefined ? null : toNumber(multiplier),
+      currency: pick(raw, 'currency') ?? null,
+      game: game(pick(raw, 'game', 'igame') ?? {}),
+      createdAt: pick(raw, 'createdAt', 'created_at', 'timestamp') ?? null,
+    };
+  }
+
+  /**
+   * Normalize a room
+   * @param {Object} raw - Raw room
+   * @returns {Room}
+   */
+  function room(raw = {}) {
+    const streamStatus = pick(raw, 'streamStatus', 'stream_status') ?? null;
+
+    return {
+      id: pick(raw, 'id', 'room_id') ?? null,
+      slug: pick(raw, 'slug', 'url_path') ?? null,
+      name: pick(raw, 'name') ?? 'Unknown Room',
+      avatar: pick(raw, 'avatar') ?? null,
+      description: pick(raw, 'description') ?? null,
+      creatorUsername: pick(raw, 'creatorUsername', 'creator_username') ?? null,
+      isCreatorVerified: Boolean(pick(raw, 'isCreatorVerified', 'is_creator_verified')),
+      streamStatus,
+      isLive: Boolean(pick(raw, 'isLive', 'is_live')) || streamStatus === 'online',
+      streamTitle: pick(raw, 'streamTitle', 'stream_title') ?? null,
+      streamThumbnail: pick(raw, 'streamThumbnail', 'stream_thumbnail') ?? null,
+      viewerCount: toNumber(pick(raw, 'viewerCount', 'current_user_count', 'viewer_count')),
+      followerCount: toNumber(pick(raw, 'followerCount', 'follower_count'), null),
+      lastGameId: pick(raw, 'lastGameId', 'last_igame_played_id') ?? null,
+      lastGameName: pick(raw, 'lastGameName', 'last_igame_played_name') ?? null,
+      socialAccounts: pick(raw, 'socialAccounts', 'creator_social_accounts') ?? [],
+    };
+  }
+
+  /**
+   * Normalize a mission
+   * @param {Object} raw - Raw mission
+   * @returns {Mission}
+   */
+  function mission(raw = {}) {
+    const prizes = pick(raw, 'prizes', 'prize_positions') ?? [];
+
+    return {
+      id: pick(raw, 'id', 'mission_id') ?? null,
+      name: pick(raw, 'name', 'title') ?? 'Mission',
+      description: pick(raw, 'description', 'details.description') ?? '',
+      status: pick(raw, 'status') ?? null,
+      roomId: pick(raw, 'roomId', 'room_id') ?? null,
+      progress: toNumber(pick(raw, 'progress')),
+      total: toNumber(pick(raw, 'total', 'goal', 'target'), 100),
+      reward: pick(raw, 'reward') ?? null,
+      icon: pick(raw, 'icon', 'images.icon') ?? null,
+      startsAt: pick(raw, 'startsAt', 'dates.start', 'start_date') ?? null,
+      endsAt: pick(raw, 'endsAt', 'dates.end', 'end_date') ?? null,
+      prizes: prizes.map((prize, index) => ({
+        position: toNumber(pick(prize, 'position', 'rank'), index + 1),
+        reward: String(pick(prize, 'reward', 'prize') ?? ''),
+      })),
+    };
+  }
+
+  /**
+   * Normalize a user
+   * @param {Object} raw - Raw user
+   * @returns {User}
+   */
+  function user(raw = {}) {
+    return {
+      id: pick(raw, 'id', 'user_id') ?? null,
+      username: pick(raw, 'username', 'name') ?? 'Anonymous',
+      avatar: pick(raw, 'avatar', 'profile_image') ?? null,
+      joinedAt: pick(raw, 'joinedAt', 'joined_at', 'created_at', 'createdAt') ?? null,
+      level: pick(raw, 'level', 'rank') ?? null,
+      stats: {
+        totalBets: toNumber(pick(raw, 'stats.totalBets', 'stats.total_bets', 'total_bets')),
+        totalWins: toNumber(pick(raw, 'stats.totalWins', 'stats.total_wins', 'total_wins')),
+        biggestWin: toNumber(pick(raw, 'stats.biggestWin', 'stats.biggest_win', 'biggest_win')),
+        favoriteGame: pick(raw, 'stats.favoriteGame', 'stats.favorite_game', 'favorite_game') ?? null,
+        winRate: pick(raw, 'stats.winRate', 'stats.win_rate', 'win_rate') ?? null,
+      },
+      badges: (pick(raw, 'badges', 'achievements') ?? []).map(badge => ({
+        id: pick(badge, 'id', 'badge_id') ?? null,
+        name: pick(badge, 'name', 'title') ?? '',
+        icon: pick(badge, 'icon', 'emoji') ?? '&#127942;',
+        description: pick(badge, 'description') ?? '',
+      })),
+    };
+  }
+
+  /**
+   * Normalize a livestream
+   * @param {Object} raw - Raw livestream
+   * @returns {Livestream}
+   */
+  function livestream(raw = {}) {
+    const isLive = pick(raw, 'isLive', 'is_live');
+    const status = pick(raw, 'status', 'stream_status');
+
+    return {
+      id: pick(raw, 'id', 'stream_id') ?? null,
+      roomId: pick(raw, 'roomId', 'room_id', 'room.id') ?? null,
+      roomSlug: pick(raw, 'roomSlug', 'url_path', 'room.url_path', 'slug') ?? null,
+      title: pick(raw, 'title', 'stream_title', 'room.name') ?? 'Untitled stream',
+      thumbnail: pick(raw, 'thumbnail', 'stream_thumbnail', 'thumbnail_url') ?? null,
+      // The feed lists live streams, so an item without a status counts as live
+      isLive: isLive !== undefined ? Boolean(isLive) : status === undefined || status === 'online',
+      viewerCount: toNumber(pick(raw, 'viewerCount', 'viewer_count', 'current_user_count')),
+      creatorUsername: pick(raw, 'creatorUsername', 'creator_username', 'room.creator_username') ?? null,
+      isCreatorVerified: Boolean(pick(raw, 'isCreatorVerified', 'is_creator_verified', 'room.is_creator_verified')),
+      startedAt: pick(raw, 'startedAt', 'started_at') ?? null,
+    };
+  }
+
+  /**
+   * Normalize a promotional banner
+   * @param {Object} raw - Raw banner
+   * @returns {Banner}
+   */
+  function banner(raw = {}) {
+    return {
+      id: pick(raw, 'id', 'banner_id') ?? null,
+      title: pick(raw, 'title', 'name') ?? '',
+      link: pick(raw, 'link', 'url', 'href') ?? null,
+      desktopImage: pick(raw, 'desktopImage', 'images.desktop', 'image_desktop', 'image') ?? null,
+      mobileImage: pick(raw, 'mobileImage', 'images.mobile', 'image_mobile') ?? null,
+    };
+  }
+
+  const normalizers = { bet, room, game, mission, user, livestream, banner };
+
+  /**
+   * Pull the item array out of a list response
+   * @param {Object|Array} response - List response, bare array or envelope
+   * @returns {Array} Raw items
+   */
+  function items(response) {
+    if (Array.isArray(response)) return response;
+    const key = listKey(response);
+    return key ? response[key] : [];
+  }
+
+  function listKey(response) {
+    return ['results', 'data', 'igames', 'games', 'bets']
+      .find(key => Array.isArray(response?.[key])) ?? null;
+  }
+
+  /**
+   * Normalize every item of a list response
+   * @param {Object|Array} response - List response
+   * @param {string} type - 'bet', 'room', 'game', 'mission', 'user', 'livestream' or 'banner'
+   * @returns {Array} Models
+   */
+  function list(response, type) {
+    return items(response).map(item => getNormalizer(type)(item));
+  }
+
+  /**
+   * Normalize a response of any shape, keeping list envelopes (page, total) intact
+   * @param {Object|Array} response - Single object, bare array or list envelope
+   * @param {string} type - 'bet', 'room', 'game', 'mission', 'user', 'livestream' or 'banner'
+   * @returns {Object|Array} Model, models, or envelope of models
+   */
+  function normalize(response, type) {
+    const normalizer = getNormalizer(type);
+
+    if (Array.isArray(response)) return response.map(item => normalizer(item));
+    if (!response || typeof response !== 'object') return response;
+
+    const key = listKey(response);
+    return key
+      ? { ...response, [key]: response[key].map(item => normalizer(item)) }
+      : normalizer(response);
+  }
+
+  function getNormalizer(type) {
+    const normalizer = normalizers[type];
+    if (!normalizer) {
+      throw new TypeError(`Unknown model type: ${type}`);
+    }
+    return normalizer;
+  }
+
+  // Public API
+  return {
+    bet,
+    room,
+    game,
+    mission,
+    user,
+    livestream,
+    banner,
+    items,
+    list,
+    normalize,
+  };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MyPrizeModels;
+}
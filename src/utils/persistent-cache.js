@@ -0,0 +1,322 @@
+/**
+ * MyPrize Streamer Toolkit - Persistent Cache
+ * Response storage that survives page reloads (IndexedDB, falling back to localStorage)
+ * @module PersistentCache
+ */
+
+const PersistentCache = (() => {
+  'use strict';
+
+  // Configuration
+  const config = {
+    dbName: 'myprize-cache',
+    storeName: 'responses',
+    storagePrefix: 'myprize_cache:',
+    maxEntries: 500, // Oldest entries are deleted beyond this
+    maxAge: 86400000, // Entries older than this (24h) are deleted
+  };
+
+  // Lazily opened IndexedDB connection
+  let dbPromise = null;
+
+  // Backend in use: 'indexeddb', 'localstorage' or 'memory'
+  let backend = null;
+
+  // Last-resort store when the page has no storage at all (Node, sandboxed iframes)
+  const memoryStore = new Map();
+
+  // Expired entries are cleaned up once per page, on first use
+  let prunedOnOpen = false;
+
+  /**
+   * Pick the best available storage backend
+   * @returns {string} Backend name
+   */
+  function detectBackend() {
+    if (backend) return backend;
+
+    if (typeof indexedDB !== 'undefined') {
+      backend = 'indexeddb';
+    } else if (hasLocalStorage()) {
+      backend = 'localstorage';
+    } else {
+      backend = 'memory';
+    }
+
+    return backend;
+  }
+
+  function hasLocalStorage() {
+    try {
+      const probe = `${config.storagePrefix}probe`;
+      localStorage.setItem(probe, '1');
+      localStorage.removeItem(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Open (or reuse) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(config.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(config.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      }).catch(error => {
+        // Private browsing and some OBS builds refuse IndexedDB - fall back
+        console.warn('[PersistentCache] IndexedDB unavailable, using localStorage:', error);
+        backend = hasLocalStorage() ? 'localstorage' : 'memory';
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Whether IndexedDB failed to open and a fallback backend took over
+   * @returns {boolean}
+   */
+  function fellBack() {
+    return backend !== 'indexeddb';
+  }
+
+  /**
+   * Run a single IndexedDB request inside a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(config.storeName, mode);
+      const request = operation(tx.objectStore(config.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Stored entry or null
+   */
+  async function get(key) {
+    pruneOnOpen();
+    switch (detectBackend()) {
+      case 'indexeddb':
+        try {
+          return (await withStore('readonly', store => store.get(key))) ?? null;
+        } catch {
+          return fellBack() ? get(key) : null;
+        }
+      case 'localstorage':
+        try {
+          const raw = localStorage.getItem(config.storagePrefix + key);
+          return raw ? JSON.parse(raw) : null;
+        } catch {
+          return null;
+        }
+      default:
+        return memoryStore.get(key) ?? null;
+    }
+  }
+
+  /**
+   * Write an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Serializable entry
+   * @returns {Promise<void>}
+   */
+  async function set(key, entry) {
+    pruneOnOpen();
+    let count;
+    switch (detectBackend()) {
+      case 'indexeddb':
+        try {
+          count = await withStore('readwrite', store => {
+            store.put(entry, key);
+            return store.count();
+          });
+        } catch {
+          if (fellBack()) await set(key, entry);
+          return;
+        }
+        break;
+      case 'localstorage':
+        try {
+          localStorage.setItem(config.storagePrefix + key, JSON.stringify(entry));
+        } catch (e) {
+          // Quota exceeded - drop our entries rather than fail the request
+          console.warn('[PersistentCache] Failed to save to storage:', e);
+          clearLocalStorage();
+          return;
+        }
+        count = getLocalStorageKeys().length;
+        break;
+      default:
+        memoryStore.set(key, entry);
+        count = memoryStore.size;
+    }
+
+    if (count > config.maxEntries) await prune();
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async function remove(key) {
+    switch (detectBackend()) {
+      case 'indexeddb':
+        try {
+          await withStore('readwrite', store => store.delete(key));
+        } catch {
+          if (fellBack()) await remove(key);
+        }
+        return;
+      case 'localstorage':
+        localStorage.removeItem(config.storagePrefix + key);
+        return;
+      default:
+        memoryStore.delete(key);
+    }
+  }
+
+  /**
+   * Delete every entry
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    switch (detectBackend()) {
+      case 'indexeddb':
+        try {
+          await withStore('readwrite', store => store.clear());
+        } catch {
+          if (fellBack()) await clear();
+        }
+        return;
+      case 'localstorage':
+        clearLocalStorage();
+        return;
+      default:
+        memoryStore.clear();
+    }
+  }
+
+  function clearLocalStorage() {
+    getLocalStorageKeys().forEach(key => localStorage.removeItem(key));
+  }
+
+  function getLocalStorageKeys() {
+    return Object.keys(localStorage).filter(key => key.startsWith(config.storagePrefix));
+  }
+
+  // =====================
+  // Cleanup
+  // =====================
+
+  function pruneOnOpen() {
+    if (prunedOnOpen) return;
+    prunedOnOpen = true;
+    prune().catch(() => {});
+  }
+
+  /**
+   * Delete expired entries, then the oldest ones beyond maxEntries
+   * @returns {Promise<void>}
+   */
+  async function prune() {
+    const entries = await listEntries();
+    const expiresBefore = Date.now() - config.maxAge;
+    const expired = entries.filter(({ storedAt }) => !(storedAt > expiresBefore));
+    const kept = entries
+      .filter(({ storedAt }) => storedAt > expiresBefore)
+      .sort((a, b) => b.storedAt - a.storedAt);
+
+    const stale = [...expired, ...kept.slice(config.maxEntries)].map(({ key }) => key);
+    await Promise.all(stale.map(key => remove(key)));
+  }
+
+  /**
+   * Every entry's key and write time
+   * @returns {Promise<Array<{key: string, storedAt: number}>>}
+   */
+  async function listEntries() {
+    switch (detectBackend()) {
+      case 'indexeddb': {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+          const entries = [];
+          const tx = db.transaction(config.storeName, 'readonly');
+          const request = tx.objectStore(config.storeName).openCursor();
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            entries.push({ key: cursor.key, storedAt: cursor.value?.storedAt });
+            cursor.continue();
+          };
+          tx.oncomplete = () => resolve(entries);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+      }
+      case 'localstorage':
+        return getLocalStorageKeys().map(key => {
+          let storedAt;
+          try {
+            storedAt = JSON.parse(localStorage.getItem(key))?.storedAt;
+          } catch {
+            // Unreadable entries are treated as expired
+          }
+          return { key: key.slice(config.storagePrefix.length), storedAt };
+        });
+      default:
+        return Array.from(memoryStore, ([key, entry]) => ({ key, storedAt: entry?.storedAt }));
+    }
+  }
+
+  /**
+   * Configure the store; call before first use
+   * @param {Object} options - Configuration options
+   */
+  function configure(options) {
+    Object.assign(config, options);
+  }
+
+  /**
+   * Get the backend in use
+   * @returns {string} 'indexeddb', 'localstorage' or 'memory'
+   */
+  function getBackend() {
+    return detectBackend();
+  }
+
+  // Public API
+  return {
+    get,
+    set,
+    remove,
+    clear,
+    prune,
+    configure,
+    getBackend,
+  };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PersistentCache;
+}
@@ -0,0 +1,354 @@
+/**
+ * MyPrize Streamer Toolkit - Session Recorder
+ * Records what the API returned during a session as a HAR file, and replays
+ * such a file as a transport so any dashboard or overlay can reproduce it offline
+ * @module SessionRecorder
+ */
+
+const SessionRecorder = (() => {
+  'use strict';
+
+  const HAR_VERSION = '1.2';
+  const CREATOR = { name: 'MyPrize Streamer Toolkit', version: '1.0.0' };
+  const PAGE_ID = 'session';
+
+  // Most recently started recorder, for grabbing a recording from the console
+  let activeRecorder = null;
+
+  // =====================
+  // Recording
+  // =====================
+
+  /**
+   * Start recording a client's API traffic. Only responses that came over the
+   * network (or from an interceptor) are recorded, not cache hits.
+   * @param {Object} client - MyPrizeAPI, or a client from MyPrizeAPI.createClient()
+   * @param {Object} [options] - Recorder options
+   * @param {number} [options.maxEntries=5000] - Drop the oldest entries beyond this
+   * @param {string} [options.title] - Session title stored in the file
+   * @returns {Object} Recorder: { stop, getSession, export, download, clear, size }
+   */
+  function record(client, options = {}) {
+    const { maxEntries = 5000, title = getDefaultTitle() } = options;
+    const startedAt = Date.now();
+    const entries = [];
+
+    function add(req, status, statusText, body) {
+      const duration = req.duration ?? 0;
+      entries.push(createEntry(req, status, statusText, body, Date.now() - duration, duration));
+      if (entries.length > maxEntries) entries.shift();
+    }
+
+    let eject = client.use({
+      onResponse(data, req) {
+        add(req, 200, 'OK', data);
+      },
+      onError(error, req) {
+        // Client-side failures (timeouts, aborts, open circuit) aren't API output
+        if (!error.status) return;
+        add(req, error.status, error.code || 'Error', { error: error.message, code: error.code });
+      },
+    });
+
+    function getSession() {
+      return {
+        log: {
+          version: HAR_VERSION,
+          creator: CREATOR,
+          pages: [{
+            startedDateTime: new Date(startedAt).toISOString(),
+            id: PAGE_ID,
+            title,
+            pageTimings: {},
+          }],
+          entries: entries.slice(),
+        },
+      };
+    }
+
+    const recorder = {
+      /**
+       * Stop recording
+       * @returns {Object} The recorded session
+       */
+      stop() {
+        if (eject) {
+          eject();
+          eject = null;
+        }
+        if (activeRecorder === recorder) activeRecorder = null;
+        return getSession();
+      },
+
+      getSession,
+
+      /**
+       * Serialize the session
+       * @returns {string} HAR JSON
+       */
+      export() {
+        return JSON.stringify(getSession(), null, 2);
+      },
+
+      /**
+       * Save the session as a .har file (browser only)
+       * @param {string} [filename] - File name
+       */
+      download(filename = `myprize-session-${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}.har`) {
+        const blob = new Blob([recorder.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      },
+
+      clear() {
+        entries.length = 0;
+      },
+
+      get size() {
+        return entries.length;
+      },
+
+      get isRecording() {
+        return eject !== null;
+      },
+    };
+
+    activeRecorder = recorder;
+    return recorder;
+  }
+
+  /**
+   * Build a HAR entry. Request headers are left out so recordings never
+   * carry credentials.
+   * @private
+   */
+  function createEntry(req, status, statusText, body, startedAt, duration) {
+    const text = JSON.stringify(body);
+    const url = new URL(req.url);
+
+    return {
+      pageref: PAGE_ID,
+      startedDateTime: new Date(startedAt).toISOString(),
+      time: duration,
+      request: {
+        method: req.method,
+        url: req.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        queryString: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: 0,
+      },
+      response: {
+        status,
+        statusText,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [{ name: 'Content-Type', value: 'application/json' }],
+        content: { size: text.length, mimeType: 'application/json', text },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: text.length,
+      },
+      cache: {},
+      timings: { send: 0, wait: duration, receive: 0 },
+    };
+  }
+
+  function getDefaultTitle() {
+    return typeof window !== 'undefined' ? window.location.href : 'MyPrize session';
+  }
+
+  // =====================
+  // Replay
+  // =====================
+
+  /**
+   * Create a transport that answers from a recorded session. Each request gets
+   * the newest recorded response for its URL at the current point in the
+   * session (or the first one, before it was recorded), so polling widgets
+   * see the data change as it did live.
+   * @param {Object|string|Promise} session - HAR object, its JSON text, or a promise of either
+   * @param {Object} [options] - Replay options
+   * @param {number} [options.speed=1] - Playback rate; 10 plays ten minutes in one
+   * @param {number} [options.startAt=0] - Start this many ms into the session
+   * @param {boolean} [options.loop=false] - Start over after the last entry
+   * @param {boolean} [options.latency=true] - Delay responses by their recorded time (scaled by speed)
+   * @returns {Function} fetch-compatible transport, with getPosition() and ready
+   */
+  function createReplayTransport(session, options = {}) {
+    const { speed = 1, startAt = 0, loop = false, latency = true } = options;
+    let clockStart = null;
+    let duration = 0;
+
+    const ready = Promise.resolve(session).then(data => {
+      const timeline = buildTimeline(typeof data === 'string' ? JSON.parse(data) : data);
+      clockStart = Date.now();
+      duration = timeline.duration;
+      return timeline;
+    });
+
+    // Current point in the session, in ms
+    function getPosition() {
+      if (clockStart === null) return startAt;
+      const position = startAt + (Date.now() - clockStart) * speed;
+      return loop && duration > 0 ? position % duration : position;
+    }
+
+    async function transport(url, init = {}) {
+      const { tracks } = await ready;
+      const entry = pickEntry(tracks.get(getRequestKey(init.method || 'GET', url)), getPosition());
+
+      if (latency && entry) {
+        await wait(entry.time / speed, init.signal);
+      }
+
+      if (!entry) {
+        return createResponse(
+          JSON.stringify({ error: `No recorded response for ${new URL(url).pathname}`, code: 'NOT_RECORDED' }),
+          404,
+          'Not Found'
+        );
+      }
+
+      return createResponse(entry.text, entry.status, entry.statusText, entry.mimeType);
+    }
+
+    transport.ready = ready;
+    transport.getPosition = getPosition;
+    return transport;
+  }
+
+  /**
+   * Index a session by request, with entry offsets from the session start
+   * @param {Object} session - HAR object
+   * @returns {{tracks: Map<string, Array>, duration: number}} Entries per request key, oldest first
+   * @private
+   */
+  function buildTimeline(session) {
+    const entries = (session?.log?.entries || [])
+      .filter(entry => entry.response?.status > 0 && entry.response.content?.text !== undefined);
+
+    const pageStart = session.log?.pages?.[0]?.startedDateTime;
+    const start = pageStart
+      ? Date.parse(pageStart)
+      : Math.min(...entries.map(entry => Date.parse(entry.startedDateTime)));
+
+    const tracks = new Map();
+    let duration = 0;
+
+    entries.forEach(entry => {
+      const time = entry.time || 0;
+      // A replayed request made as far into the session as the original gets its response
+      const offset = Date.parse(entry.startedDateTime) - start;
+      duration = Math.max(duration, offset + time);
+
+      const key = getRequestKey(entry.request.method, entry.request.url);
+      if (!tracks.has(key)) tracks.set(key, []);
+      tracks.get(key).push({
+        offset,
+        time,
+        status: entry.response.status,
+        statusText: entry.response.statusText || '',
+        mimeType: entry.response.content.mimeType || 'application/json',
+        text: entry.response.content.text,
+      });
+    });
+
+    tracks.forEach(track => track.sort((a, b) => a.offset - b.offset));
+    return { tracks, duration };
+  }
+
+  /**
+   * Newest entry at a position, or the first entry before the track starts
+   * @private
+   */
+  function pickEntry(track, position) {
+    if (!track) return null;
+
+    let current = track[0];
+    for (const entry of track) {
+      if (entry.offset > position) break;
+      current = entry;
+    }
+    return current;
+  }
+
+  /**
+   * Key requests by method, path and query, so a session recorded against one
+   * host replays against another
+   * @private
+   */
+  function getRequestKey(method, url) {
+    const { pathname, search } = new URL(url);
+    return `${method.toUpperCase()} ${pathname.replace(/\/+$/, '')}${search}`;
+  }
+
+  function createResponse(text, status = 200, statusText = 'OK', mimeType = 'application/json') {
+    return new Response(text, {
+      status,
+      statusText,
+      headers: { 'Content-Type': mimeType },
+    });
+  }
+
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Record with ?record=true, or replay a recording with
+   * ?replay=<url of .har file>[&replaySpeed=10][&replayLoop=true], from the
+   * page URL. The toolkit pages call this; pages that embed the toolkit
+   * shouldn't, since a crafted link could then replay any JSON into them.
+   * @param {Object} client - MyPrizeAPI, or a client from MyPrizeAPI.createClient()
+   * @param {string} [search] - Query string; defaults to the page's
+   */
+  function usePageParams(client, search = window.location.search) {
+    const params = new URLSearchParams(search);
+
+    if (params.get('replay')) {
+      client.replay(fetch(params.get('replay')).then(response => response.json()), {
+        speed: Number(params.get('replaySpeed')) || 1,
+        loop: params.get('replayLoop') === 'true',
+      });
+    }
+
+    if (params.get('record') === 'true') {
+      record(client);
+    }
+  }
+
+  /**
+   * Most recently started recorder that is still running
+   * @returns {Object|null} Recorder
+   */
+  function getActive() {
+    return activeRecorder;
+  }
+
+  // Public API
+  return {
+    record,
+    createReplayTransport,
+    usePageParams,
+    getActive,
+  };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionRecorder;
+}
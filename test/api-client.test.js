@@ -0,0 +1,89 @@
+/**
+ * API client tests
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../src');
+
+// Transport answering every request with { id } after a short delay
+function createTransport() {
+  const calls = [];
+  const transport = async (url) => {
+    calls.push(url);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return new Response(JSON.stringify({ id: 'yy' }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+  return { transport, calls };
+}
+
+test('a request aborted right after the call rejects with ABORTED', async () => {
+  const { transport } = createTransport();
+  const api = createClient({ transport, metricsInterval: 0 });
+  const controller = new AbortController();
+
+  const pending = api.rooms.get('yy', { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, { code: 'ABORTED' });
+});
+
+test('an early abort leaves a shared request to the callers still waiting', async () => {
+  const { transport, calls } = createTransport();
+  const api = createClient({ transport, metricsInterval: 0 });
+  const controller = new AbortController();
+
+  const aborted = api.rooms.get('yy', { signal: controller.signal });
+  const kept = api.rooms.get('yy');
+  controller.abort();
+
+  await assert.rejects(aborted, { code: 'ABORTED' });
+  assert.deepStrictEqual(await kept, { id: 'yy' });
+  assert.strictEqual(calls.length, 1);
+});
+
+test('an empty 2xx body resolves to null', async () => {
+  const transport = async () => new Response(null, { status: 204 });
+  const api = createClient({ transport, metricsInterval: 0 });
+
+  assert.strictEqual(await api.request('/ping', { cache: false }), null);
+});
+
+test('a non-JSON 2xx body rejects with INVALID_RESPONSE without opening the circuit', async () => {
+  const transport = async () => new Response('<html>Down for maintenance</html>', { status: 200 });
+  const api = createClient({ transport, metricsInterval: 0, retries: 1, circuitFailureThreshold: 2 });
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(api.request('/maintenance', { cache: false }), { code: 'INVALID_RESPONSE' });
+  }
+  assert.strictEqual(api.getConnectionState(), 'online');
+});
+
+test('a 304 with no cached response is retried without conditional headers', async () => {
+  const sent = [];
+  const transport = async (url, init) => {
+    sent.push(init.headers);
+    return init.headers['If-None-Match']
+      ? new Response(null, { status: 304 })
+      : new Response(JSON.stringify({ id: 'yy' }), { status: 200 });
+  };
+  const api = createClient({ transport, metricsInterval: 0 });
+  api.use({ onRequest: req => ({ ...req, headers: { ...req.headers, 'If-None-Match': '"v1"' } }) });
+
+  assert.deepStrictEqual(await api.rooms.get('yy'), { id: 'yy' });
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1]['If-None-Match'], undefined);
+});
+
+test('a 304 to a request without validators rejects with INVALID_RESPONSE', async () => {
+  const transport = async () => new Response(null, { status: 304 });
+  const api = createClient({ transport, metricsInterval: 0 });
+
+  await assert.rejects(api.rooms.get('yy'), { code: 'INVALID_RESPONSE', status: 304 });
+});
@@ -0,0 +1,88 @@
+/**
+ * Cache tag tests
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../src');
+
+// Persistent store shared by clients, standing in for a page reload
+function createStore() {
+  const entries = new Map();
+  return {
+    entries,
+    get: async key => entries.get(key) ?? null,
+    set: async (key, entry) => { entries.set(key, entry); },
+    remove: async key => { entries.delete(key); },
+    clear: async () => entries.clear(),
+  };
+}
+
+// Transport answering each room with its name and a version that grows per request
+function createTransport(version = 0) {
+  return async (url) => {
+    version++;
+    return new Response(JSON.stringify({ url: new URL(url).pathname, version }), { status: 200 });
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('invalidate() reaches persisted entries that were evicted from memory', async () => {
+  const store = createStore();
+  const options = { persistentCache: store, cacheMaxEntries: 1, metricsInterval: 0 };
+  const api = createClient({ ...options, transport: createTransport() });
+
+  const first = await api.rooms.get('1');
+  await api.rooms.get('2'); // Evicts room 1 from memory
+  await flush();
+
+  api.invalidate('room:1');
+  await flush();
+
+  // A new client is a page reload: it must not serve the invalidated body
+  const reloaded = createClient({ ...options, transport: createTransport(100) });
+  assert.strictEqual(first.version, 1);
+  assert.strictEqual((await reloaded.rooms.get('1')).version, 101);
+});
+
+test('entries that were not invalidated still come from the persistent store', async () => {
+  const store = createStore();
+  const options = { persistentCache: store, metricsInterval: 0 };
+  const api = createClient({ ...options, transport: createTransport() });
+
+  const room = await api.rooms.get('1');
+  await api.rooms.get('2');
+  await flush();
+  api.invalidate('room:2');
+  await flush();
+
+  const reloaded = createClient({ ...options, transport: async () => { throw new Error('offline'); }, retries: 1 });
+  assert.deepStrictEqual(await reloaded.rooms.get('1'), room);
+});
+
+test('invalidating a room id drops the same room looked up by slug', async () => {
+  const store = createStore();
+  const options = { persistentCache: store, metricsInterval: 0 };
+  let version = 0;
+  const transport = async () => new Response(JSON.stringify({ id: 7, slug: 'lobby', version: ++version }), { status: 200 });
+  const api = createClient({ ...options, transport });
+
+  assert.strictEqual((await api.rooms.getBySlug('lobby')).version, 1);
+  assert.strictEqual((await api.rooms.getBySlug('lobby')).version, 1);
+  await flush();
+
+  api.invalidate('room:7');
+  await flush();
+  assert.strictEqual((await api.rooms.getBySlug('lobby')).version, 2);
+
+  // The persisted copy is tagged with the id as well
+  await flush();
+  api.invalidate('room:7');
+  await flush();
+  const reloaded = createClient({ ...options, transport });
+  assert.strictEqual((await reloaded.rooms.getBySlug('lobby')).version, 3);
+});
@@ -0,0 +1,82 @@
+/**
+ * Circuit breaker tests
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../src');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Transport that fails with a 500 until `down` is switched off
+function createTransport() {
+  const state = { down: true, calls: 0 };
+  state.transport = async () => {
+    state.calls++;
+    return state.down
+      ? new Response(JSON.stringify({ error: 'Unavailable' }), { status: 500 })
+      : new Response(JSON.stringify({ ok: true }), { status: 200 });
+  };
+  return state;
+}
+
+function createCircuitClient(transport) {
+  return createClient({
+    transport,
+    metricsInterval: 0,
+    cacheEnabled: false,
+    retries: 1,
+    circuitFailureThreshold: 2,
+    circuitResetTimeout: 50,
+  });
+}
+
+test('the circuit opens after repeated outages and fails fast while open', async () => {
+  const upstream = createTransport();
+  const api = createCircuitClient(upstream.transport);
+  const states = [];
+  api.on('connection', ({ state }) => states.push(state));
+
+  await assert.rejects(api.rooms.get('1'), { status: 500 });
+  assert.strictEqual(api.getConnectionState(), 'degraded');
+  await assert.rejects(api.rooms.get('1'), { status: 500 });
+  assert.strictEqual(api.getConnectionState(), 'offline');
+
+  await assert.rejects(api.rooms.get('1'), { code: 'CIRCUIT_OPEN' });
+  assert.strictEqual(upstream.calls, 2);
+  assert.deepStrictEqual(states, ['degraded', 'offline']);
+});
+
+test('a failed probe reopens the circuit and a successful one closes it', async () => {
+  const upstream = createTransport();
+  const api = createCircuitClient(upstream.transport);
+  const states = [];
+
+  await assert.rejects(api.rooms.get('1'));
+  await assert.rejects(api.rooms.get('1'));
+  api.on('connection', ({ state }) => states.push(state));
+
+  // The reset timeout sends a probe; the API is still down
+  await wait(80);
+  assert.deepStrictEqual(states, ['degraded', 'offline']);
+  assert.strictEqual(upstream.calls, 3);
+
+  // Half-open again, and this time the probe gets through
+  upstream.down = false;
+  await wait(60);
+  assert.deepStrictEqual(states, ['degraded', 'offline', 'degraded', 'online']);
+  assert.deepStrictEqual(await api.rooms.get('1'), { ok: true });
+});
+
+test('4xx responses show the API is reachable and keep the circuit closed', async () => {
+  const transport = async () => new Response(JSON.stringify({ error: 'Not found' }), { status: 404 });
+  const api = createCircuitClient(transport);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(api.rooms.get('missing'), { status: 404 });
+  }
+  assert.strictEqual(api.getConnectionState(), 'online');
+});
@@ -0,0 +1,27 @@
+/**
+ * Persistent cache tests (memory backend, as in Node)
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PersistentCache = require('../src/utils/persistent-cache');
+
+test('expired entries are deleted and the store is capped at maxEntries', async () => {
+  PersistentCache.configure({ maxEntries: 3, maxAge: 60000 });
+  const now = Date.now();
+
+  await PersistentCache.set('expired', { data: 0, storedAt: now - 120000 });
+  for (let i = 1; i <= 4; i++) {
+    await PersistentCache.set(`entry-${i}`, { data: i, storedAt: now + i });
+  }
+
+  assert.strictEqual(await PersistentCache.get('expired'), null);
+  assert.strictEqual(await PersistentCache.get('entry-1'), null);
+  assert.deepStrictEqual(
+    await Promise.all([2, 3, 4].map(async i => (await PersistentCache.get(`entry-${i}`)).data)),
+    [2, 3, 4]
+  );
+});
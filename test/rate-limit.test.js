@@ -0,0 +1,57 @@
+/**
+ * Rate limit budget and priority tests
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../src');
+
+const transport = async () => new Response(JSON.stringify({ ok: true }), { status: 200 });
+
+function createLimitedClient(overrides) {
+  return createClient({ transport, metricsInterval: 0, cacheEnabled: false, retries: 1, ...overrides });
+}
+
+test('a consumer over its budget is refused while others and high priority go ahead', async () => {
+  const api = createLimitedClient({ rateLimitPerFiveMinutes: 10, consumerBudgets: { bot: 0.2 } });
+
+  await api.rooms.get('1', { consumer: 'bot' });
+  await api.rooms.get('2', { consumer: 'bot' });
+  await assert.rejects(api.rooms.get('3', { consumer: 'bot' }), error => {
+    assert.strictEqual(error.code, 'RATE_LIMIT_EXCEEDED');
+    assert.strictEqual(error.consumer, 'bot');
+    assert.ok(error.retryAfter > 0);
+    return true;
+  });
+
+  await api.rooms.get('4', { consumer: 'bot', priority: 'high' });
+  await api.rooms.get('5', { consumer: 'dashboard' });
+  assert.strictEqual(api.getRateLimitStatus().consumers.bot.used, 3);
+});
+
+test('low priority requests wait while the reserve is in use, and can be aborted', async () => {
+  const api = createLimitedClient({ rateLimitPerFiveMinutes: 10, lowPriorityReserve: 0.2 });
+  const deferred = [];
+  api.on('rateLimit', event => { if (event.deferred) deferred.push(event.consumer); });
+
+  for (let i = 0; i < 7; i++) await api.rooms.get(String(i));
+  await api.rooms.get('low-1', { consumer: 'background', priority: 'low' });
+
+  // 8 of 10 used: the last 2 are kept for normal and high priority
+  const controller = new AbortController();
+  let settled = false;
+  const waiting = api.rooms.get('low-2', { consumer: 'background', priority: 'low', signal: controller.signal });
+  waiting.catch(() => {}).finally(() => { settled = true; });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.strictEqual(settled, false);
+  assert.deepStrictEqual(deferred, ['background']);
+  await api.rooms.get('normal');
+
+  controller.abort();
+  await assert.rejects(waiting, { code: 'ABORTED' });
+  assert.strictEqual(api.getRateLimitStatus().consumers.background.used, 1);
+});
@@ -0,0 +1,122 @@
+/**
+ * subscribe() tests: stream deduplication and the polling fallback
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../src');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Feed endpoint answering with whatever `state.items` holds
+function createFeed(items) {
+  const state = { items, calls: 0 };
+  state.transport = async () => {
+    state.calls++;
+    return new Response(JSON.stringify({ results: state.items }), { status: 200 });
+  };
+  return state;
+}
+
+// Stands in for an EventSource; the test drives its callbacks
+function createStreamTransport() {
+  const sources = [];
+  const streamTransport = url => {
+    const source = { url, readyState: 0, closed: false, close() { this.closed = true; } };
+    sources.push(source);
+    return source;
+  };
+  return { sources, streamTransport };
+}
+
+function createStreamClient(feed, streamTransport) {
+  return createClient({
+    transport: feed.transport,
+    streamUrl: 'https://stream.example.com/events',
+    streamTransport,
+    streamRetryDelay: 60000,
+    cacheEnabled: false,
+    metricsInterval: 0,
+  });
+}
+
+test('stream messages are delivered once, skipping items already seen', async () => {
+  const feed = createFeed([{ id: 1 }, { id: 2 }]);
+  const { sources, streamTransport } = createStreamTransport();
+  const api = createStreamClient(feed, streamTransport);
+  const received = [];
+
+  const unsubscribe = api.subscribe('bets.big', { room_id: 'r1' }, (items, { mode }) => {
+    received.push({ ids: items.map(item => item.id), mode });
+  });
+  const [source] = sources;
+  assert.match(source.url, /channel=bets\.big/);
+
+  // Opening catches up on the feed; what was already there isn't news
+  source.onopen();
+  await wait(10);
+  assert.deepStrictEqual(received, []);
+
+  source.onmessage({ data: JSON.stringify([{ id: 2 }, { id: 3 }]) });
+  source.onmessage({ data: JSON.stringify({ id: 3 }) });
+  source.onmessage({ data: JSON.stringify({ channel: 'bets.lucky', data: { id: 4 } }) });
+  source.onmessage({ data: JSON.stringify({ id: 5, room_id: 'r2' }) });
+  source.onmessage({ data: 'keep-alive' });
+
+  assert.deepStrictEqual(received, [{ ids: [3], mode: 'stream' }]);
+  assert.deepStrictEqual(api.getSubscriptionStatus()[0].delivered, 1);
+
+  unsubscribe();
+  assert.strictEqual(source.closed, true);
+  assert.deepStrictEqual(api.getSubscriptionStatus(), []);
+});
+
+test('a dropped stream falls back to polling without repeating items', async () => {
+  const feed = createFeed([{ id: 1 }]);
+  const { sources, streamTransport } = createStreamTransport();
+  const api = createStreamClient(feed, streamTransport);
+  const received = [];
+  const statuses = [];
+
+  const unsubscribe = api.subscribe('bets.big', {}, (items, { mode }) => {
+    received.push({ ids: items.map(item => item.id), mode });
+  }, { interval: 20, onStatus: status => statuses.push(status) });
+
+  const [source] = sources;
+  source.onopen();
+  await wait(10);
+  source.onmessage({ data: JSON.stringify({ id: 2 }) });
+
+  // The stream closes; the feed is polled until it reconnects
+  feed.items = [{ id: 3 }, { id: 2 }, { id: 1 }];
+  source.onclose();
+  await wait(60);
+  unsubscribe();
+
+  assert.deepStrictEqual(statuses, ['stream', 'polling']);
+  assert.deepStrictEqual(received, [
+    { ids: [2], mode: 'stream' },
+    { ids: [3], mode: 'polling' },
+  ]);
+  assert.strictEqual(source.closed, true);
+});
+
+test('without a stream URL the feed is polled from the start', async () => {
+  const feed = createFeed([{ id: 1 }]);
+  const api = createClient({ transport: feed.transport, cacheEnabled: false, metricsInterval: 0 });
+  const received = [];
+
+  const unsubscribe = api.subscribe('bets.big', {}, items => received.push(items.map(item => item.id)), {
+    interval: 20,
+  });
+  await wait(10);
+  feed.items = [{ id: 2 }, { id: 1 }];
+  await wait(40);
+  unsubscribe();
+
+  assert.deepStrictEqual(api.getSubscriptionStatus(), []);
+  assert.deepStrictEqual(received, [[2]]);
+});
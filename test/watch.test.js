@@ -0,0 +1,110 @@
+/**
+ * watch() tests: diffs between refreshes and snapshots kept across reloads
+ * Zero dependencies; run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../src');
+
+// List endpoint answering with whatever `state.items` holds, or failing while `state.down`
+function createFeed(items) {
+  const state = { items, down: false };
+  state.transport = async () => (state.down
+    ? new Response(JSON.stringify({ error: 'Bad request' }), { status: 400 })
+    : new Response(JSON.stringify({ results: state.items }), { status: 200 }));
+  return state;
+}
+
+// Snapshot store shared by clients, standing in for a page reload
+function createStore() {
+  const entries = new Map();
+  return {
+    entries,
+    get: async key => entries.get(key) ?? null,
+    set: async (key, entry) => { entries.set(key, entry); },
+  };
+}
+
+function createWatchClient(feed, watchStorage = false) {
+  return createClient({ transport: feed.transport, watchStorage, cacheEnabled: false, metricsInterval: 0 });
+}
+
+// Collect every event a watcher emits, in order
+function record(watcher) {
+  const events = [];
+  ['added', 'removed', 'changed'].forEach(event => {
+    watcher.on(event, (items, extra) => events.push([event, items.map(item => item.id), ...(extra ? [extra.previous] : [])]));
+  });
+  watcher.on('update', ({ added, removed, changed }) => {
+    events.push(['update', added.length, removed.length, changed.length]);
+  });
+  return events;
+}
+
+test('refreshes report added, removed and changed items', async () => {
+  const feed = createFeed([{ id: 1, amount: 10 }, { id: 2, amount: 20 }]);
+  const api = createWatchClient(feed);
+  const watcher = api.watch(api.bets.getBig, {}, { interval: 0, immediate: false });
+  const events = record(watcher);
+
+  await watcher.refresh();
+  assert.deepStrictEqual(events, [['update', 0, 0, 0]]);
+
+  feed.items = [{ id: 2, amount: 25 }, { id: 3, amount: 30 }];
+  events.length = 0;
+  await watcher.refresh();
+  assert.deepStrictEqual(events, [
+    ['added', [3]],
+    ['removed', [1]],
+    ['changed', [2], [{ id: 2, amount: 20 }]],
+    ['update', 1, 1, 1],
+  ]);
+
+  // Nothing changed: no events at all
+  events.length = 0;
+  await watcher.refresh();
+  assert.deepStrictEqual(events, []);
+  assert.deepStrictEqual(watcher.getItems().map(item => item.id), [2, 3]);
+  watcher.stop();
+});
+
+test('the first refresh after a failure reports an update even when nothing changed', async () => {
+  const feed = createFeed([{ id: 1 }]);
+  const api = createWatchClient(feed);
+  const watcher = api.watch(api.bets.getBig, {}, { interval: 0, immediate: false });
+  const events = record(watcher);
+
+  await watcher.refresh();
+  feed.down = true;
+  await assert.rejects(watcher.refresh(), { status: 400 });
+  feed.down = false;
+  await watcher.refresh();
+
+  assert.deepStrictEqual(events, [['update', 0, 0, 0], ['update', 0, 0, 0]]);
+  watcher.stop();
+});
+
+test('changes made while the page was closed are reported after a reload', async () => {
+  const store = createStore();
+  const feed = createFeed([{ id: 1 }, { id: 2 }]);
+  const api = createWatchClient(feed, store);
+  const watcher = api.watch(api.bets.getBig, { room_id: 'r1' }, { interval: 0, immediate: false });
+
+  await watcher.refresh();
+  watcher.stop();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepStrictEqual(Array.from(store.entries.keys()), ['watch:bets.getBig:{"room_id":"r1"}']);
+
+  // A new client is a page reload: it diffs against the stored snapshot
+  feed.items = [{ id: 2 }, { id: 3 }];
+  const reloaded = createWatchClient(feed, store);
+  const watcherAfterReload = reloaded.watch(reloaded.bets.getBig, { room_id: 'r1' }, { interval: 0, immediate: false });
+  const events = record(watcherAfterReload);
+
+  await watcherAfterReload.refresh();
+  assert.deepStrictEqual(events, [['added', [3]], ['removed', [1]], ['update', 1, 1, 0]]);
+  watcherAfterReload.stop();
+});